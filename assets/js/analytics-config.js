@@ -0,0 +1,13 @@
+/**
+ * HealthCheckPro - Analytics Deploy Configuration
+ * Read by analytics.js (see HealthCheckAnalytics.defaults). The site is
+ * static hosting and server/collector.js is not part of it, so the
+ * first-party collector stays off until a deployment that runs it sets its
+ * URL here, e.g. 'https://collect.example.com/api/collect' (start the
+ * collector with --allow-origin for the site's origin), or '/api/collect'
+ * when the collector also serves the site with --static.
+ */
+
+window.HealthCheckAnalyticsConfig = {
+    collectorUrl: null
+};
@@ -1,30 +1,54 @@
 // Advanced Analytics and Performance Tracking
 class HealthCheckAnalytics {
-    constructor() {
-        this.sessionId = this.generateSessionId();
+    constructor(config = window.HealthCheckAnalyticsConfig) {
+        this.config = Object.assign({}, HealthCheckAnalytics.defaults, config);
+        this.events = window.healthEvents;
+        this.sessionId = this.events ? this.events.sessionId : this.generateSessionId();
         this.startTime = Date.now();
         this.interactions = [];
         this.performanceMetrics = {};
-        
-        this.init();
+        this.initialized = false;
     }
     
+    // Only runs once the visitor has allowed analytics (see consent.js)
     init() {
-        this.setupGoogleAnalytics();
-        this.setupHotjar();
+        if (this.initialized) return;
+        this.initialized = true;
+        
+        if (this.config.thirdParty) {
+            this.setupGoogleAnalytics();
+            this.events.addSink(EventBus.gaSink());
+            // Neither runs on a tool page: a recording would replay the questions
+            // and answers, and container tags can read the page as well as the
+            // dataLayer. The interrupt and crisis panels are added to <body>
+            if (!document.querySelector('.quiz-container')) {
+                this.setupTagManager();
+                if (window.healthConsent) {
+                    window.healthConsent.whenGranted('sessionRecording', () => this.setupHotjar());
+                }
+            }
+        }
+        if (this.config.collectorUrl) {
+            this.events.addSink(EventBus.collectorSink(this.config.collectorUrl, {
+                batchSize: this.config.batchSize,
+                flushInterval: this.config.flushInterval,
+                sessionId: this.sessionId
+            }));
+        }
         this.setupCustomTracking();
-        this.trackUserJourney();
         this.monitorPerformance();
         this.setupConversionTracking();
     }
     
+    // The site's only Google Analytics setup. It sends nothing on its own:
+    // page views are off and every event comes through the bus's scrubbed ga sink
     setupGoogleAnalytics() {
-        // Enhanced Google Analytics 4 setup
         window.dataLayer = window.dataLayer || [];
-        function gtag(){dataLayer.push(arguments);}
+        window.gtag = window.gtag || function(){dataLayer.push(arguments);};
         
         gtag('js', new Date());
-        gtag('config', 'GA_MEASUREMENT_ID', {
+        gtag('config', this.config.gaMeasurementId, {
+            content_group: this.getContentGroup(),
             // Enhanced e-commerce for health tools
             custom_map: {
                 'custom_parameter_1': 'health_tool_used',
@@ -32,10 +56,7 @@ class HealthCheckAnalytics {
                 'custom_parameter_3': 'completion_rate',
                 'custom_parameter_4': 'user_concern_level'
             },
-            // User engagement
-            engagement_time_msec: 10000,
-            // Conversion tracking
-            send_page_view: true,
+            send_page_view: false,
             // Privacy controls
             anonymize_ip: true,
             allow_google_signals: false
@@ -44,10 +65,24 @@ class HealthCheckAnalytics {
         // Load GA4 script
         const gaScript = document.createElement('script');
         gaScript.async = true;
-        gaScript.src = 'https://www.googletagmanager.com/gtag/js?id=GA_MEASUREMENT_ID';
+        gaScript.src = `https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(this.config.gaMeasurementId)}`;
         document.head.appendChild(gaScript);
     }
     
+    // Shares the dataLayer with gtag above, so the container only ever sees
+    // the scrubbed events the ga sink forwards
+    setupTagManager() {
+        if (!this.config.gtmContainerId) return;
+        
+        window.dataLayer = window.dataLayer || [];
+        window.dataLayer.push({ 'gtm.start': new Date().getTime(), event: 'gtm.js' });
+        
+        const gtmScript = document.createElement('script');
+        gtmScript.async = true;
+        gtmScript.src = `https://www.googletagmanager.com/gtm.js?id=${encodeURIComponent(this.config.gtmContainerId)}`;
+        document.head.appendChild(gtmScript);
+    }
+    
     setupHotjar() {
         // Hotjar for user behavior analysis
         (function(h,o,t,j,a,r){
@@ -60,6 +95,10 @@ class HealthCheckAnalytics {
         })(window,document,'https://static.hotjar.com/c/hotjar-','.js?sv=');
     }
     
+    sendEvent(eventName, params, options) {
+        this.events.emit(eventName, params, options);
+    }
+    
     setupCustomTracking() {
         // Custom health-specific tracking
         this.trackSymptomCheckerUsage();
@@ -68,6 +107,39 @@ class HealthCheckAnalytics {
         this.trackConversionFunnels();
     }
     
+    trackConversionFunnels() {
+        // Quiz engine events (see SymptomChecker.emitQuizEvent) for the
+        // collector's funnel report
+        HealthCheckAnalytics.funnelEvents.forEach(eventName => {
+            document.addEventListener(eventName, (e) => {
+                if (!this.config.collectorUrl) return;
+                
+                const detail = e.detail;
+                
+                // A question behind showIf is only shown after certain answers
+                // or to certain people (65 and over, say), so its events stay
+                // on the device and an abandoned run there doesn't say where
+                if (detail.conditional && eventName !== 'quiz_abandoned') return;
+                const common = detail.questionId !== undefined && !detail.conditional;
+                
+                this.sendEvent(eventName, {
+                    event_label: detail.toolName,
+                    tool: detail.toolName,
+                    version: detail.quizVersion,
+                    run: detail.runId,
+                    question: common ? detail.questionId : undefined,
+                    question_index: common ? detail.commonIndex : undefined,
+                    dwell_ms: detail.dwellMs,
+                    elapsed_ms: detail.elapsedMs,
+                    reason: detail.reason
+                }, { sinks: ['collector'] });
+                
+                // The page may be closing, so this one can't wait for the next batch
+                if (eventName === 'quiz_abandoned') this.events.flush(true);
+            });
+        });
+    }
+    
     trackSymptomCheckerUsage() {
         // Track symptom checker interactions
         document.addEventListener('click', (e) => {
@@ -75,7 +147,7 @@ class HealthCheckAnalytics {
             if (toolLink) {
                 const toolName = this.extractToolName(toolLink.href);
                 
-                gtag('event', 'tool_access', {
+                this.sendEvent('tool_access', {
                     event_category: 'Symptom Checker',
                     event_label: toolName,
                     custom_parameter_1: toolName,
@@ -93,23 +165,24 @@ class HealthCheckAnalytics {
         
         // Track quiz progression
         document.addEventListener('quiz_question_answered', (e) => {
-            gtag('event', 'quiz_progress', {
+            // As in trackConversionFunnels, conditional questions aren't reported
+            if (e.detail.conditional) return;
+            
+            this.sendEvent('quiz_progress', {
                 event_category: 'Symptom Assessment',
                 event_label: e.detail.toolName,
                 custom_parameter_1: e.detail.toolName,
                 custom_parameter_2: e.detail.category,
-                value: e.detail.questionNumber
+                value: e.detail.commonIndex + 1
             });
         });
         
         // Track quiz completion
         document.addEventListener('quiz_completed', (e) => {
-            gtag('event', 'assessment_completed', {
+            this.sendEvent('assessment_completed', {
                 event_category: 'Symptom Assessment',
                 event_label: e.detail.toolName,
                 custom_parameter_1: e.detail.toolName,
-                custom_parameter_3: '100',
-                custom_parameter_4: e.detail.riskLevel,
                 value: e.detail.totalScore
             });
         });
@@ -127,12 +200,13 @@ class HealthCheckAnalytics {
             const responses = e.detail.responses;
             const concernLevel = this.analyzeConcernLevel(responses);
             
-            gtag('event', 'health_concern_analysis', {
+            // A judgement about someone's health stays on their device
+            this.sendEvent('health_concern_analysis', {
                 event_category: 'Health Analytics',
                 event_label: concernLevel,
                 custom_parameter_4: concernLevel,
                 non_interaction: false
-            });
+            }, { sinks: ['local'] });
         });
     }
     
@@ -148,7 +222,7 @@ class HealthCheckAnalytics {
                 
                 // Send engagement event every 30 seconds
                 if (engagementTimer % 30 === 0) {
-                    gtag('event', 'user_engagement', {
+                    this.sendEvent('user_engagement', {
                         event_category: 'Engagement',
                         event_label: 'Active Time',
                         value: engagementTimer,
@@ -181,7 +255,7 @@ class HealthCheckAnalytics {
                     if (scrollPercent >= milestone && !this[`milestone_${milestone}`]) {
                         this[`milestone_${milestone}`] = true;
                         
-                        gtag('event', 'scroll_depth', {
+                        this.sendEvent('scroll_depth', {
                             event_category: 'Engagement',
                             event_label: `${milestone}%`,
                             value: milestone,
@@ -196,21 +270,13 @@ class HealthCheckAnalytics {
     trackClickPatterns() {
         document.addEventListener('click', (e) => {
             const element = e.target;
-            const elementInfo = {
-                tag: element.tagName.toLowerCase(),
-                class: element.className,
-                id: element.id,
-                text: element.textContent.substring(0, 50),
-                x: e.clientX,
-                y: e.clientY
-            };
             
-            // Track important UI elements
+            // Track important UI elements; only the kind of element, as class
+            // names and button text can give away the answer picked
             if (element.matches('button, .cta-button, .btn-primary, .answer-btn')) {
-                gtag('event', 'ui_interaction', {
+                this.sendEvent('ui_interaction', {
                     event_category: 'UI Elements',
-                    event_label: elementInfo.tag,
-                    custom_parameter_1: elementInfo.class,
+                    event_label: element.tagName.toLowerCase(),
                     non_interaction: false
                 });
             }
@@ -229,7 +295,7 @@ class HealthCheckAnalytics {
         
         Object.keys(conversions).forEach(eventType => {
             document.addEventListener(eventType, (e) => {
-                gtag('event', 'conversion', {
+                this.sendEvent('conversion', {
                     event_category: 'Conversions',
                     event_label: conversions[eventType],
                     value: 1
@@ -247,7 +313,7 @@ class HealthCheckAnalytics {
             // Largest Contentful Paint
             new PerformanceObserver((entryList) => {
                 for (const entry of entryList.getEntries()) {
-                    gtag('event', 'web_vitals', {
+                    this.sendEvent('web_vitals', {
                         event_category: 'Performance',
                         event_label: 'LCP',
                         value: Math.round(entry.startTime),
@@ -259,7 +325,7 @@ class HealthCheckAnalytics {
             // First Input Delay
             new PerformanceObserver((entryList) => {
                 for (const entry of entryList.getEntries()) {
-                    gtag('event', 'web_vitals', {
+                    this.sendEvent('web_vitals', {
                         event_category: 'Performance',
                         event_label: 'FID',
                         value: Math.round(entry.processingStart - entry.startTime),
@@ -274,7 +340,7 @@ class HealthCheckAnalytics {
                 for (const entry of entryList.getEntries()) {
                     clsValue += entry.value;
                 }
-                gtag('event', 'web_vitals', {
+                this.sendEvent('web_vitals', {
                     event_category: 'Performance',
                     event_label: 'CLS',
                     value: Math.round(clsValue * 1000),
@@ -283,6 +349,22 @@ class HealthCheckAnalytics {
             }).observe({entryTypes: ['layout-shift']});
         }
         
+        // Main thread blocked for long enough to make the page feel stuck
+        if ('PerformanceObserver' in window) {
+            new PerformanceObserver((entryList) => {
+                for (const entry of entryList.getEntries()) {
+                    if (entry.duration > 50) {
+                        this.sendEvent('long_task', {
+                            event_category: 'Performance',
+                            event_label: 'Long Task',
+                            value: Math.round(entry.duration),
+                            non_interaction: true
+                        });
+                    }
+                }
+            }).observe({entryTypes: ['longtask']});
+        }
+        
         // Monitor resource loading
         this.monitorResourcePerformance();
         this.trackPageLoadMetrics();
@@ -294,7 +376,7 @@ class HealthCheckAnalytics {
             
             resources.forEach(resource => {
                 if (resource.duration > 1000) { // Resources taking > 1 second
-                    gtag('event', 'slow_resource', {
+                    this.sendEvent('slow_resource', {
                         event_category: 'Performance',
                         event_label: resource.name.split('/').pop(),
                         value: Math.round(resource.duration),
@@ -311,7 +393,7 @@ class HealthCheckAnalytics {
             
             // Time to First Byte
             const ttfb = navigation.responseStart - navigation.requestStart;
-            gtag('event', 'page_timing', {
+            this.sendEvent('page_timing', {
                 event_category: 'Performance',
                 event_label: 'TTFB',
                 value: Math.round(ttfb),
@@ -320,7 +402,7 @@ class HealthCheckAnalytics {
             
             // DOM Content Loaded
             const dcl = navigation.domContentLoadedEventEnd - navigation.domContentLoadedEventStart;
-            gtag('event', 'page_timing', {
+            this.sendEvent('page_timing', {
                 event_category: 'Performance',
                 event_label: 'DCL',
                 value: Math.round(dcl),
@@ -329,7 +411,7 @@ class HealthCheckAnalytics {
             
             // Page Load Complete
             const loadComplete = navigation.loadEventEnd - navigation.loadEventStart;
-            gtag('event', 'page_timing', {
+            this.sendEvent('page_timing', {
                 event_category: 'Performance',
                 event_label: 'Load Complete',
                 value: Math.round(loadComplete),
@@ -343,6 +425,14 @@ class HealthCheckAnalytics {
         return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
     
+    getContentGroup() {
+        const path = window.location.pathname;
+        if (path.includes('/tools/')) return 'Symptom Checkers';
+        if (path.includes('/blog/')) return 'Health Blog';
+        if (path === '/') return 'Homepage';
+        return 'Other';
+    }
+    
     extractToolName(url) {
         const matches = url.match(/\/tools\/(.+?)-symptom-checker/);
         return matches ? matches[1].replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()) : 'Unknown Tool';
@@ -360,17 +450,10 @@ class HealthCheckAnalytics {
     }
     
     sendConversionData(eventType, data) {
-        // Send conversion data to backend or third-party services
-        fetch('/api/conversions', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                event: eventType,
-                data: data,
-                sessionId: this.sessionId,
-                timestamp: Date.now()
-            })
-        }).catch(error => console.log('Conversion tracking error:', error));
+        // Conversion details only go to the first-party collector
+        if (this.config.collectorUrl) {
+            this.sendEvent(eventType, data, { sinks: ['collector'] });
+        }
     }
     
     throttle(func, limit) {
@@ -387,8 +470,38 @@ class HealthCheckAnalytics {
     }
 }
 
-// Initialize analytics
-const healthAnalytics = new HealthCheckAnalytics();
+// Set window.HealthCheckAnalyticsConfig before this script to override, e.g.
+// { collectorUrl: '/api/collect', thirdParty: false } to only use the
+// first-party collector in server/collector.js; the pages take it from
+// analytics-config.js, which deployments fill in
+HealthCheckAnalytics.defaults = {
+    collectorUrl: null,
+    thirdParty: true,
+    gaMeasurementId: 'G-FKB15HZ8F7',
+    gtmContainerId: 'GTM-PXR893GH',
+    batchSize: 20,
+    flushInterval: 10000
+};
+
+HealthCheckAnalytics.funnelEvents = [
+    'quiz_started',
+    'quiz_question_shown',
+    'quiz_question_answered',
+    'quiz_answer_changed',
+    'quiz_back',
+    'quiz_abandoned',
+    'quiz_completed'
+];
 
 // Export for global access
-window.HealthAnalytics = healthAnalytics;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HealthCheckAnalytics;
+} else {
+    window.HealthCheckAnalytics = HealthCheckAnalytics;
+    window.HealthAnalytics = new HealthCheckAnalytics();
+
+    // Initialize analytics once consent is given; events go through event-bus.js
+    if (window.healthConsent && window.healthEvents) {
+        window.healthConsent.whenGranted('analytics', () => window.HealthAnalytics.init());
+    }
+}
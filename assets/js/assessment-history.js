@@ -0,0 +1,107 @@
+/**
+ * HealthCheckPro - Assessment History
+ * Keeps completed assessments on this device (IndexedDB) so scores can be
+ * compared over time. Nothing stored here is ever sent to a server.
+ */
+
+class AssessmentHistory {
+    constructor() {
+        this.dbName = 'healthcheckpro';
+        this.storeName = 'assessments';
+        this.dbVersion = 1;
+        this.db = null;
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            if (!('indexedDB' in window)) {
+                reject(new Error('IndexedDB not available'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('tool', 'tool', { unique: false });
+                    store.createIndex('completedAt', 'completedAt', { unique: false });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async transaction(mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = callback(tx.objectStore(this.storeName));
+
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Save a completed assessment from SymptomChecker.exportResults(),
+     * with a snapshot of the scoring bands so old entries still chart
+     * correctly after the quiz data changes. Pass the bands the result was
+     * scored against (SymptomChecker.getScoring()) when a scoring profile
+     * moved the thresholds.
+     */
+    record(results, quizData, bands = quizData.scoring) {
+        if (!results) return Promise.resolve(null);
+
+        const entry = {
+            tool: results.tool,
+            title: quizData.title,
+            version: quizData.version,
+            score: results.score,
+            maxScore: quizData.maxScore,
+            level: results.level,
+            bands: bands.map(band => ({
+                key: band.key,
+                label: band.label,
+                min: band.min,
+                max: band.max,
+                color: band.color
+            })),
+            answers: results.answers,
+            concepts: results.concepts || {},
+            completedAt: results.completedAt
+        };
+
+        return this.transaction('readwrite', store => store.add(entry));
+    }
+
+    async getAll(tool) {
+        const entries = await this.transaction('readonly', store => {
+            return tool ? store.index('tool').getAll(tool) : store.getAll();
+        });
+
+        return (entries || []).sort((a, b) => a.completedAt.localeCompare(b.completedAt));
+    }
+
+    delete(id) {
+        return this.transaction('readwrite', store => store.delete(id));
+    }
+
+    clear() {
+        return this.transaction('readwrite', store => store.clear());
+    }
+}
+
+// Export for global access
+window.HealthHistory = new AssessmentHistory();
@@ -117,8 +117,8 @@ function performSearch(query) {
     }, 800);
     
     // Track search event
-    if (typeof gtag !== 'undefined') {
-        gtag('event', 'search', {
+    if (window.healthEvents) {
+        window.healthEvents.emit('search', {
             search_term: query
         });
     }
@@ -191,8 +191,8 @@ function handleNewsletterSignup(email) {
     }, 1500);
     
     // Track subscription event
-    if (typeof gtag !== 'undefined') {
-        gtag('event', 'newsletter_signup', {
+    if (window.healthEvents) {
+        window.healthEvents.emit('newsletter_signup', {
             method: 'blog_footer'
         });
     }
@@ -239,8 +239,8 @@ function trackArticleInteractions() {
         link.addEventListener('click', function() {
             const articleTitle = this.textContent || this.closest('.card-content').querySelector('h3').textContent;
             
-            if (typeof gtag !== 'undefined') {
-                gtag('event', 'article_click', {
+            if (window.healthEvents) {
+                window.healthEvents.emit('article_click', {
                     article_title: articleTitle,
                     click_location: 'blog_listing'
                 });
@@ -258,8 +258,8 @@ function trackArticleInteractions() {
             
             // Track milestone scroll depths
             if ([25, 50, 75, 90].includes(scrollPercent)) {
-                if (typeof gtag !== 'undefined') {
-                    gtag('event', 'scroll_depth', {
+                if (window.healthEvents) {
+                    window.healthEvents.emit('scroll_depth', {
                         scroll_percent: scrollPercent,
                         page_location: window.location.href
                     });
@@ -318,8 +318,8 @@ function shareArticle(url, title) {
     }
     
     // Track sharing event
-    if (typeof gtag !== 'undefined') {
-        gtag('event', 'share', {
+    if (window.healthEvents) {
+        window.healthEvents.emit('share', {
             method: 'web_share',
             content_type: 'article',
             item_id: url
@@ -348,8 +348,8 @@ function initializeDarkMode() {
         this.innerHTML = newTheme === 'dark' ? '☀️' : '🌙';
         
         // Track theme change
-        if (typeof gtag !== 'undefined') {
-            gtag('event', 'theme_change', {
+        if (window.healthEvents) {
+            window.healthEvents.emit('theme_change', {
                 theme: newTheme
             });
         }
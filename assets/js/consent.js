@@ -0,0 +1,273 @@
+/**
+ * HealthCheckPro - Consent Manager
+ * Nothing beyond what the site needs to work is loaded until the visitor
+ * agrees to it. Scripts register with whenGranted(category, callback) and
+ * run once that category is allowed, straight away if it already is.
+ * A Global Privacy Control signal counts as refusing everything optional.
+ */
+
+class ConsentManager {
+    constructor(i18n) {
+        this.i18n = i18n || null;
+        this.choice = this.load();
+        this.pending = {};
+        this.started = new Set();
+    }
+
+    static gpcEnabled() {
+        return typeof navigator !== 'undefined' && navigator.globalPrivacyControl === true;
+    }
+
+    load() {
+        try {
+            const choice = JSON.parse(localStorage.getItem(ConsentManager.storageKey) || 'null');
+            // Choices made before the categories changed have to be asked again
+            return choice && choice.version === ConsentManager.version ? choice : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    hasChoice() {
+        return Boolean(this.choice) || ConsentManager.gpcEnabled();
+    }
+
+    isGranted(category) {
+        if (category === 'necessary') return true;
+        if (ConsentManager.gpcEnabled()) return false;
+        return Boolean(this.choice && this.choice.categories[category]);
+    }
+
+    whenGranted(category, callback) {
+        if (this.isGranted(category)) {
+            this.started.add(category);
+            this.run(callback);
+            return;
+        }
+
+        (this.pending[category] = this.pending[category] || []).push(callback);
+    }
+
+    /**
+     * Saves a choice for the optional categories. Scripts waiting on a newly
+     * allowed category start now; a category that was already running can't
+     * be unloaded, so withdrawing it clears its cookies and reloads the page.
+     */
+    save(categories) {
+        const values = {};
+        ConsentManager.categories.filter(category => !category.required).forEach(category => {
+            values[category.id] = !ConsentManager.gpcEnabled() && Boolean(categories[category.id]);
+        });
+
+        this.choice = { version: ConsentManager.version, categories: values, updated: new Date().toISOString() };
+        try {
+            localStorage.setItem(ConsentManager.storageKey, JSON.stringify(this.choice));
+        } catch (e) {
+            console.log('Consent choice not saved - localStorage not available');
+        }
+
+        if (window.HealthCheckPro) {
+            window.HealthCheckPro.trackEvent('consent_updated', Object.assign({ gpc: ConsentManager.gpcEnabled() }, values));
+        }
+
+        const withdrawn = [...this.started].filter(category => !this.isGranted(category));
+        if (withdrawn.length) {
+            withdrawn.forEach(category => this.clearCookies(category));
+            window.location.reload();
+            return;
+        }
+
+        Object.keys(this.pending).forEach(category => {
+            if (!this.isGranted(category)) return;
+            this.started.add(category);
+            this.pending[category].splice(0).forEach(callback => this.run(callback));
+        });
+    }
+
+    // One broken third-party loader shouldn't stop the others
+    run(callback) {
+        try {
+            callback();
+        } catch (e) {
+            console.error('Consent callback failed:', e);
+        }
+    }
+
+    acceptAll() {
+        this.save({ analytics: true, sessionRecording: true });
+    }
+
+    rejectAll() {
+        this.save({});
+    }
+
+    clearCookies(category) {
+        const prefixes = ConsentManager.cookiePrefixes[category] || [];
+        const domains = ['', location.hostname, `.${location.hostname.replace(/^www\./, '')}`];
+
+        document.cookie.split(';').map(cookie => cookie.split('=')[0].trim())
+            .filter(name => prefixes.some(prefix => name.startsWith(prefix)))
+            .forEach(name => {
+                domains.forEach(domain => {
+                    document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/${domain ? `; domain=${domain}` : ''}`;
+                });
+            });
+    }
+
+    t(key) {
+        if (!this.i18n && window.I18n) {
+            this.i18n = new window.I18n(document.documentElement.lang || window.I18n.defaultLocale);
+        }
+        return this.i18n ? this.i18n.t(key) : key;
+    }
+
+    /**
+     * Adds the banner when no choice has been made yet, and opens the
+     * preferences panel from any [data-consent-preferences] link
+     */
+    init() {
+        document.querySelectorAll('[data-consent-preferences]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showPreferences(link);
+            });
+        });
+
+        if (!this.hasChoice()) this.showBanner();
+    }
+
+    showBanner() {
+        if (document.querySelector('.consent-banner')) return;
+
+        const banner = document.createElement('section');
+        banner.className = 'consent-banner';
+        banner.setAttribute('aria-labelledby', 'consent-banner-heading');
+        banner.innerHTML = `
+            <h2 id="consent-banner-heading">${this.t('consentHeading')}</h2>
+            <p>${this.t('consentIntro')}</p>
+            <div class="consent-actions">
+                <button type="button" class="btn-primary consent-accept">${this.t('consentAcceptAll')}</button>
+                <button type="button" class="btn-secondary consent-reject">${this.t('consentRejectAll')}</button>
+                <button type="button" class="btn-secondary consent-customize">${this.t('consentCustomize')}</button>
+            </div>
+        `;
+
+        const close = () => banner.remove();
+        banner.querySelector('.consent-accept').addEventListener('click', () => { close(); this.acceptAll(); });
+        banner.querySelector('.consent-reject').addEventListener('click', () => { close(); this.rejectAll(); });
+        banner.querySelector('.consent-customize').addEventListener('click', () => {
+            close();
+            this.showPreferences();
+        });
+
+        document.body.appendChild(banner);
+    }
+
+    showPreferences(opener) {
+        let panel = document.getElementById('consent-panel');
+        if (panel) panel.remove();
+
+        const gpc = ConsentManager.gpcEnabled();
+        panel = document.createElement('div');
+        panel.id = 'consent-panel';
+        panel.className = 'consent-panel';
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-modal', 'true');
+        panel.setAttribute('aria-labelledby', 'consent-panel-heading');
+        panel.innerHTML = `
+            <form class="consent-form">
+                <button type="button" class="consent-panel-close" aria-label="${this.t('close')}">×</button>
+                <h2 id="consent-panel-heading">${this.t('consentPreferences')}</h2>
+                ${gpc ? `<p class="consent-gpc">${this.t('consentGpc')}</p>` : ''}
+                ${ConsentManager.categories.map(category => `
+                    <div class="consent-category">
+                        <input type="checkbox" id="consent-${category.id}" name="${category.id}"
+                            ${category.required || this.isGranted(category.id) ? 'checked' : ''}
+                            ${category.required || gpc ? 'disabled' : ''}>
+                        <label for="consent-${category.id}">${this.t(category.label)}</label>
+                        <p>${this.t(category.description)}</p>
+                    </div>
+                `).join('')}
+                <div class="consent-actions">
+                    <button type="submit" class="btn-primary">${this.t('consentSave')}</button>
+                    ${gpc ? '' : `<button type="button" class="btn-secondary consent-accept">${this.t('consentAcceptAll')}</button>`}
+                    <button type="button" class="btn-secondary consent-reject">${this.t('consentRejectAll')}</button>
+                </div>
+            </form>
+        `;
+
+        const returnFocus = opener || document.activeElement;
+        const close = () => {
+            panel.remove();
+            // Closing without choosing brings the banner back
+            if (!this.hasChoice()) this.showBanner();
+            if (returnFocus && document.contains(returnFocus)) returnFocus.focus();
+        };
+
+        const form = panel.querySelector('.consent-form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const categories = {};
+            form.querySelectorAll('input[type="checkbox"]').forEach(input => {
+                categories[input.name] = input.checked;
+            });
+            this.save(categories);
+            close();
+        });
+
+        const accept = panel.querySelector('.consent-accept');
+        if (accept) accept.addEventListener('click', () => { this.acceptAll(); close(); });
+        panel.querySelector('.consent-reject').addEventListener('click', () => { this.rejectAll(); close(); });
+        panel.querySelector('.consent-panel-close').addEventListener('click', close);
+
+        panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                close();
+                return;
+            }
+            if (e.key !== 'Tab') return;
+
+            const focusable = [...panel.querySelectorAll('button, input:not([disabled])')];
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        });
+
+        document.body.appendChild(panel);
+        panel.querySelector('h2').setAttribute('tabindex', '-1');
+        panel.querySelector('h2').focus();
+    }
+}
+
+ConsentManager.storageKey = 'healthcheckpro_consent';
+ConsentManager.version = 1;
+
+ConsentManager.categories = [
+    { id: 'necessary', required: true, label: 'consentNecessary', description: 'consentNecessaryDescription' },
+    { id: 'analytics', label: 'consentAnalytics', description: 'consentAnalyticsDescription' },
+    { id: 'sessionRecording', label: 'consentSessionRecording', description: 'consentSessionRecordingDescription' }
+];
+
+// Cookies set by the services in each category, removed when it is withdrawn
+ConsentManager.cookiePrefixes = {
+    analytics: ['_ga', '_gid', '_gat', '_gcl'],
+    sessionRecording: ['_hj']
+};
+
+// Export for global access
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConsentManager;
+} else {
+    window.ConsentManager = ConsentManager;
+    window.healthConsent = new ConsentManager();
+
+    document.addEventListener('DOMContentLoaded', function() {
+        window.healthConsent.init();
+    });
+}
@@ -0,0 +1,170 @@
+/**
+ * HealthCheckPro - Crisis Resources
+ * Renders crisis helplines for the visitor's country from a directory
+ * bundled with the site, so it works offline and never looks anything up.
+ * The country comes from a saved choice, then the browser's language
+ * settings (see EmergencyDirectory), and can be changed with a picker.
+ */
+
+class CrisisResources {
+    constructor(i18n) {
+        this.i18n = i18n;
+    }
+
+    static getRegion(locale) {
+        // An empty saved choice means "another country"
+        const saved = window.HealthCheckPro ? window.HealthCheckPro.getUserPreferences().crisisRegion : undefined;
+        if (saved === '') return null;
+        if (saved && CrisisResources.directory[saved]) return saved;
+
+        const region = window.EmergencyDirectory ? window.EmergencyDirectory.getRegion(locale, navigator.languages || [navigator.language]) : null;
+        return CrisisResources.directory[region] ? region : null;
+    }
+
+    static savePreferredRegion(region) {
+        if (!window.HealthCheckPro) return false;
+
+        const preferences = window.HealthCheckPro.getUserPreferences();
+        preferences.crisisRegion = region;
+        return window.HealthCheckPro.saveUserPreferences(preferences);
+    }
+
+    getCountryName(region) {
+        try {
+            return new Intl.DisplayNames([this.i18n.locale], { type: 'region' }).of(region);
+        } catch (e) {
+            return region;
+        }
+    }
+
+    renderLine(line) {
+        const contacts = [];
+        if (line.call) {
+            contacts.push(`<a href="tel:${line.call.replace(/\s/g, '')}">${this.i18n.t('crisisCall', { number: line.call })}</a>`);
+        }
+        if (line.text) {
+            const href = `sms:${line.text.replace(/\s/g, '')}${line.keyword ? `?body=${encodeURIComponent(line.keyword)}` : ''}`;
+            const label = line.keyword
+                ? this.i18n.t('crisisTextKeyword', { keyword: line.keyword, number: line.text })
+                : this.i18n.t('crisisText', { number: line.text });
+            contacts.push(`<a href="${href}">${label}</a>`);
+        }
+
+        return `
+            <li class="crisis-line">
+                <strong>${line.name}</strong>
+                <span class="crisis-contacts">${contacts.join('')}</span>
+            </li>
+        `;
+    }
+
+    /**
+     * HTML for one crisis resources block; region null means a country
+     * the directory doesn't cover
+     */
+    render(config, region, idPrefix) {
+        const lines = CrisisResources.directory[region] || [];
+        const emergency = window.EmergencyDirectory
+            ? (window.EmergencyDirectory.numbers[region] || window.EmergencyDirectory.fallback)
+            : [];
+        const countries = Object.keys(CrisisResources.directory)
+            .map(code => ({ code, name: this.getCountryName(code) }))
+            .sort((a, b) => a.name.localeCompare(b.name, this.i18n.locale));
+
+        return `
+            <p>${this.i18n.t('crisisIntro')}</p>
+            <div class="crisis-country">
+                <label for="${idPrefix}-country">${this.i18n.t('crisisCountry')}</label>
+                <select id="${idPrefix}-country" class="crisis-country-select">
+                    ${countries.map(country => `<option value="${country.code}"${country.code === region ? ' selected' : ''}>${country.name}</option>`).join('')}
+                    <option value=""${region ? '' : ' selected'}>${this.i18n.t('crisisOtherCountry')}</option>
+                </select>
+            </div>
+            <ul class="crisis-lines">
+                ${lines.map(line => this.renderLine(line)).join('')}
+                ${emergency.length ? this.renderLine({ name: this.i18n.t('crisisEmergency'), call: emergency[0] }) : ''}
+            </ul>
+            ${lines.length ? '' : `<p class="crisis-no-directory">${this.i18n.t('crisisNoDirectory')}</p>`}
+            ${config.ongoing && config.ongoing.length ? `
+                <h4>${this.i18n.t('crisisOngoing')}</h4>
+                <ul class="crisis-ongoing">
+                    ${config.ongoing.map(item => `<li>${item}</li>`).join('')}
+                </ul>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Fills container and re-renders it when another country is picked;
+     * onChange lets other blocks on the page follow the new choice
+     */
+    attach(container, config, onChange) {
+        const region = CrisisResources.getRegion(this.i18n.locale);
+        container.innerHTML = this.render(config, region, container.id || 'crisis');
+
+        container.querySelector('.crisis-country-select').addEventListener('change', (e) => {
+            CrisisResources.savePreferredRegion(e.target.value);
+            if (onChange) onChange(e.target.value || null);
+        });
+    }
+}
+
+// Free, confidential helplines by country code; emergency numbers come
+// from EmergencyDirectory
+CrisisResources.directory = {
+    US: [
+        { name: '988 Suicide & Crisis Lifeline', call: '988', text: '988' },
+        { name: 'Crisis Text Line', text: '741741', keyword: 'HOME' }
+    ],
+    CA: [
+        { name: '9-8-8 Suicide Crisis Helpline', call: '988', text: '988' }
+    ],
+    MX: [
+        { name: 'Línea de la Vida', call: '800 911 2000' }
+    ],
+    GB: [
+        { name: 'Samaritans', call: '116 123' },
+        { name: 'Shout', text: '85258', keyword: 'SHOUT' }
+    ],
+    IE: [
+        { name: 'Samaritans', call: '116 123' },
+        { name: 'Text About It', text: '50808', keyword: 'HELLO' }
+    ],
+    AU: [
+        { name: 'Lifeline', call: '13 11 14', text: '0477 13 11 14' },
+        { name: 'Beyond Blue', call: '1300 22 4636' }
+    ],
+    NZ: [
+        { name: 'Need to talk?', call: '1737', text: '1737' },
+        { name: 'Lifeline Aotearoa', call: '0800 543 354' }
+    ],
+    IN: [
+        { name: 'Tele MANAS', call: '14416' }
+    ],
+    ES: [
+        { name: 'Línea 024 de atención a la conducta suicida', call: '024' },
+        { name: 'Teléfono de la Esperanza', call: '717 003 717' }
+    ],
+    AR: [
+        { name: 'Centro de Asistencia al Suicida', call: '135' }
+    ],
+    DE: [
+        { name: 'TelefonSeelsorge', call: '0800 111 0 111' }
+    ],
+    FR: [
+        { name: '3114 Numéro national de prévention du suicide', call: '3114' }
+    ],
+    AE: [
+        { name: 'National Mental Support Line', call: '800 4673' }
+    ],
+    EG: [
+        { name: 'General Secretariat of Mental Health hotline', call: '0800 888 0700' }
+    ]
+};
+
+// Export for global access
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CrisisResources;
+} else {
+    window.CrisisResources = CrisisResources;
+}
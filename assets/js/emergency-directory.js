@@ -0,0 +1,75 @@
+/**
+ * HealthCheckPro - Emergency Directory
+ * Emergency numbers to show when an answer looks like an emergency. The
+ * region is the country picked for the crisis lines if there is one, else
+ * the browser's language settings (en-GB, es-MX...), falling back to the
+ * usual region for the page language.
+ */
+
+class EmergencyDirectory {
+    static getRegion(locale, languages = []) {
+        // The first language tag with a region is the best guess at where someone is
+        const tagged = [].concat(languages).map(tag => String(tag).split('-')[1]).find(region => /^[a-z]{2}$/i.test(region || ''));
+        if (tagged) return tagged.toUpperCase();
+
+        return EmergencyDirectory.defaultRegions[String(locale).split('-')[0]] || null;
+    }
+
+    /**
+     * Returns { region, numbers }, the first number being the one to call;
+     * regions not listed get 112, which most mobile networks route
+     */
+    static lookup(locale, languages = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : []) {
+        return EmergencyDirectory.forRegion(EmergencyDirectory.getRegion(locale, languages));
+    }
+
+    // The same for a country the visitor picked, e.g. for the crisis lines
+    static forRegion(region) {
+        const numbers = EmergencyDirectory.numbers[region];
+        return { region: numbers ? region : null, numbers: numbers || EmergencyDirectory.fallback };
+    }
+}
+
+// Ambulance numbers first where a country has separate ones
+EmergencyDirectory.numbers = {
+    US: ['911'],
+    CA: ['911'],
+    MX: ['911'],
+    GB: ['999', '112'],
+    IE: ['112', '999'],
+    AU: ['000', '112'],
+    NZ: ['111'],
+    IN: ['112', '108'],
+    ZA: ['10177', '112'],
+    ES: ['112'],
+    DE: ['112'],
+    FR: ['15', '112'],
+    IT: ['112', '118'],
+    AR: ['107', '911'],
+    CO: ['123'],
+    CL: ['131'],
+    PE: ['106'],
+    SA: ['997', '911'],
+    AE: ['998', '999'],
+    EG: ['123'],
+    JO: ['911'],
+    QA: ['999'],
+    KW: ['112'],
+    LB: ['140']
+};
+
+EmergencyDirectory.fallback = ['112'];
+
+// Where each page language is most likely used when the browser gives no region
+EmergencyDirectory.defaultRegions = {
+    en: 'US',
+    es: 'ES',
+    ar: 'SA'
+};
+
+// Export for global access
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EmergencyDirectory;
+} else {
+    window.EmergencyDirectory = EmergencyDirectory;
+}
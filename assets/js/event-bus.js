@@ -0,0 +1,338 @@
+/**
+ * HealthCheckPro - Event Bus
+ * The one place tracking goes through. Modules call
+ * healthEvents.emit(name, data); the bus checks the name against
+ * EventBus.schema, drops repeats of the same event fired twice in a row,
+ * and hands the event to every sink whose consent category is allowed
+ * (see consent.js). Sinks: the local buffer (always on, never leaves the
+ * device), the first-party collector and Google Analytics, the last two
+ * added by analytics.js once analytics is allowed. The collector and GA
+ * only ever get what TelemetryScrubber.scrub() lets through.
+ *
+ * Add ?debug=events to a URL to list events in an overlay as they fire.
+ */
+
+class EventBus {
+    constructor() {
+        this.sinks = [];
+        this.listeners = [];
+        this.recent = new Map();
+        this.sessionId = `session_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+    }
+
+    /**
+     * Adds a sink: { name, category, outbound, send(record), flush(useBeacon) }.
+     * Sinks marked outbound send off the device and get scrubbed records.
+     * A sink with the same name as one already added is ignored.
+     */
+    addSink(sink) {
+        if (this.getSink(sink.name)) return false;
+        this.sinks.push(sink);
+        return true;
+    }
+
+    getSink(name) {
+        return this.sinks.find(sink => sink.name === name) || null;
+    }
+
+    isAllowed(sink) {
+        if (sink.category === 'necessary') return true;
+        return Boolean(window.healthConsent && window.healthConsent.isGranted(sink.category));
+    }
+
+    /**
+     * Listens to every emit, delivered or not, with { record, status, sinks,
+     * outbound }, outbound being the scrubbed record if one was made;
+     * returns a function that stops listening
+     */
+    on(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(other => other !== listener);
+        };
+    }
+
+    /**
+     * The record as it may leave the device, or null if it may not. With no
+     * scrubber loaded nothing leaves.
+     */
+    scrub(record) {
+        const scrubber = typeof window !== 'undefined' ? window.TelemetryScrubber : null;
+        const data = scrubber ? scrubber.scrub(record.event, record.data) : null;
+        return data ? Object.assign({}, record, { data: data }) : null;
+    }
+
+    isDuplicate(name, data) {
+        // Timestamps differ between two copies of the same event, so they don't count
+        const key = name + JSON.stringify(data, (field, value) => (field === 'timestamp' ? undefined : value));
+        const now = Date.now();
+        const last = this.recent.get(key);
+
+        this.recent.forEach((time, other) => {
+            if (now - time > EventBus.dedupeMs) this.recent.delete(other);
+        });
+        this.recent.set(key, now);
+
+        return last !== undefined && now - last <= EventBus.dedupeMs;
+    }
+
+    /**
+     * Sends an event to the sinks. options.sinks limits it to the named
+     * sinks, e.g. ['collector'] for details that shouldn't reach GA.
+     * Returns the names of the sinks it was delivered to.
+     */
+    emit(name, data = {}, options = {}) {
+        const record = { event: name, data: data, timestamp: new Date().toISOString() };
+        let status = 'delivered';
+        let delivered = [];
+        let outbound;
+
+        if (!EventBus.schema.hasOwnProperty(name)) {
+            status = 'unknown';
+            console.warn(`Event "${name}" is not in EventBus.schema and was not sent`);
+        } else if (this.isDuplicate(name, data)) {
+            status = 'duplicate';
+        } else {
+            delivered = this.sinks
+                .filter(sink => !options.sinks || options.sinks.includes(sink.name))
+                .filter(sink => this.isAllowed(sink))
+                .map(sink => {
+                    if (sink.outbound && outbound === undefined) outbound = this.scrub(record);
+                    if (sink.outbound && !outbound) return null;
+
+                    try {
+                        sink.send(sink.outbound ? outbound : record);
+                        return sink.name;
+                    } catch (e) {
+                        console.log(`Event sink "${sink.name}" failed:`, e);
+                        return null;
+                    }
+                })
+                .filter(Boolean);
+        }
+
+        this.listeners.forEach(listener => listener({ record, status, sinks: delivered, outbound: outbound || null }));
+        return delivered;
+    }
+
+    flush(useBeacon = false) {
+        this.sinks.forEach(sink => {
+            if (sink.flush && this.isAllowed(sink)) sink.flush(useBeacon);
+        });
+    }
+
+    /**
+     * Keeps events on this device, newest last, for the pages that read
+     * them back (the same "healthcheckpro_events" list main.js always kept)
+     */
+    static localSink(storageKey = 'healthcheckpro_events', limit = 100) {
+        return {
+            name: 'local',
+            category: 'necessary',
+            send(record) {
+                try {
+                    const events = JSON.parse(localStorage.getItem(storageKey) || '[]');
+                    events.push(record);
+
+                    if (events.length > limit) {
+                        events.splice(0, events.length - limit);
+                    }
+
+                    localStorage.setItem(storageKey, JSON.stringify(events));
+                } catch (e) {
+                    console.log('Event tracking disabled - localStorage not available');
+                }
+            }
+        };
+    }
+
+    /**
+     * Batches events for server/collector.js; a batch goes out when full,
+     * on a timer, and by beacon when the page is hidden
+     */
+    static collectorSink(url, options = {}) {
+        const batchSize = options.batchSize || 20;
+        const queue = [];
+        const sink = {
+            name: 'collector',
+            category: 'analytics',
+            outbound: true,
+            send(record) {
+                queue.push({
+                    name: record.event,
+                    props: record.data,
+                    sessionId: options.sessionId,
+                    ts: Date.parse(record.timestamp)
+                });
+                if (queue.length >= batchSize) sink.flush();
+            },
+            flush(useBeacon = false) {
+                while (queue.length) {
+                    // The collector takes at most 50 events per request
+                    const body = JSON.stringify({ events: queue.splice(0, 50) });
+
+                    if (useBeacon && navigator.sendBeacon && navigator.sendBeacon(url, body)) {
+                        continue;
+                    }
+
+                    fetch(url, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: body,
+                        keepalive: true
+                    }).catch(error => console.log('Analytics collector error:', error));
+                }
+            }
+        };
+
+        setInterval(() => sink.flush(), options.flushInterval || 10000);
+        return sink;
+    }
+
+    // Forwards events to gtag; loading and configuring GA stays with analytics.js
+    static gaSink() {
+        return {
+            name: 'ga',
+            category: 'analytics',
+            outbound: true,
+            send(record) {
+                if (typeof window.gtag === 'function') {
+                    window.gtag('event', record.event, record.data);
+                }
+            }
+        };
+    }
+
+    static debugEnabled() {
+        try {
+            return new URLSearchParams(window.location.search).get('debug') === 'events'
+                || localStorage.getItem('healthcheckpro_debug_events') === '1';
+        } catch (e) {
+            return false;
+        }
+    }
+
+    showOverlay() {
+        if (document.querySelector('.event-debug-overlay')) return;
+
+        const overlay = document.createElement('aside');
+        overlay.className = 'event-debug-overlay';
+        overlay.setAttribute('aria-label', 'Tracked events');
+        overlay.innerHTML = `
+            <header>
+                <strong>Events</strong>
+                <button type="button" class="event-debug-close" aria-label="Close">×</button>
+            </header>
+            <ol class="event-debug-list"></ol>
+        `;
+
+        const list = overlay.querySelector('.event-debug-list');
+        const stop = this.on(({ record, status, sinks, outbound }) => {
+            const item = document.createElement('li');
+            item.className = `event-debug-${status}`;
+
+            const name = document.createElement('strong');
+            name.textContent = record.event;
+            const target = document.createElement('span');
+            target.textContent = status === 'delivered' ? `→ ${sinks.join(', ') || 'no sinks allowed'}` : status;
+            const data = document.createElement('code');
+            data.textContent = JSON.stringify(record.data);
+
+            item.append(name, ' ', target, data);
+            if (outbound) {
+                // What actually left the device after scrubbing
+                const sent = document.createElement('code');
+                sent.className = 'event-debug-sent';
+                sent.textContent = `↗ ${JSON.stringify(outbound.data)}`;
+                item.append(sent);
+            }
+            list.prepend(item);
+            while (list.children.length > 50) list.lastElementChild.remove();
+        });
+
+        overlay.querySelector('.event-debug-close').addEventListener('click', () => {
+            stop();
+            overlay.remove();
+        });
+
+        document.body.appendChild(overlay);
+    }
+}
+
+// Repeats of an identical event within this many milliseconds are dropped
+EventBus.dedupeMs = 1000;
+
+// Every event name the site sends, and what it means. Names must be listed
+// here to be sent, which keeps typos and one-off names out of reports.
+EventBus.schema = {
+    // Homepage and navigation (main.js, triage.js)
+    tool_click: 'A tool card was opened from the homepage',
+    blog_click: 'A blog card was opened from the homepage',
+    triage_tool_selected: 'A tool was picked from the homepage triage',
+    triage_completed: 'The homepage triage finished',
+    consent_updated: 'Privacy choices were saved',
+
+    // Quiz engine (symptom-checker.js)
+    language_changed: 'The quiz language was switched',
+    profile_step: 'The optional health profile was filled in or skipped',
+    emergency_interrupt: 'An emergency answer interrupted the quiz',
+    emergency_interrupt_continued: 'The quiz was continued after the emergency dialog',
+    emergency_call_clicked: 'The call link in the emergency dialog was used',
+    crisis_region_changed: 'Another country was picked for crisis lines',
+    crisis_resources_opened: 'The crisis lines panel was opened',
+    recent_answers_reused: 'Answers from a recent assessment were reused',
+    triage_prefill_applied: 'Answers from the homepage triage were filled in',
+    share_link_copied: 'A results link was copied',
+    report_downloaded: 'A printable report was opened',
+    fhir_exported: 'Results were exported as FHIR',
+    quiz_started: 'A pass through a quiz began',
+    quiz_question_shown: 'A quiz question was shown',
+    quiz_question_answered: 'A quiz question was answered for the first time in this run',
+    quiz_answer_changed: 'A quiz answer was changed',
+    quiz_back: 'The quiz went back a question',
+    quiz_abandoned: 'A quiz was left or restarted before the results',
+    quiz_completed: 'A quiz reached its results',
+
+    // Engagement (analytics.js, blog.js)
+    tool_access: 'A link to a tool was followed',
+    quiz_progress: 'A quiz question was answered (GA summary)',
+    assessment_completed: 'A quiz reached its results (GA summary)',
+    health_concern_analysis: 'Overall concern level of a completed quiz',
+    user_engagement: 'Active time on the page, every 30 seconds',
+    scroll_depth: 'The page was scrolled past 25, 50, 75, 90 or 100%',
+    ui_interaction: 'A button was clicked',
+    conversion: 'A conversion happened',
+    symptom_assessment_completed: 'Conversion: assessment completed',
+    newsletter_signup: 'Conversion: newsletter signup',
+    contact_form_submitted: 'Conversion: contact form sent',
+    blog_article_read: 'Conversion: article read',
+    return_visit: 'Conversion: returning visitor',
+    search: 'The blog was searched',
+    article_click: 'An article was opened from the blog listing',
+    share: 'An article was shared',
+    theme_change: 'The blog theme was switched',
+
+    // Performance (analytics.js)
+    web_vitals: 'A Core Web Vitals measurement',
+    page_timing: 'Page load timings',
+    slow_resource: 'A file took more than a second to load',
+    long_task: 'The main thread was blocked for more than 50ms'
+};
+
+// Export for global access
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventBus;
+} else {
+    window.EventBus = EventBus;
+    window.healthEvents = new EventBus();
+    window.healthEvents.addSink(EventBus.localSink());
+
+    window.addEventListener('pagehide', () => window.healthEvents.flush(true));
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') window.healthEvents.flush(true);
+    });
+
+    if (EventBus.debugEnabled()) {
+        document.addEventListener('DOMContentLoaded', () => window.healthEvents.showOverlay());
+    }
+}
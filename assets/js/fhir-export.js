@@ -0,0 +1,358 @@
+/**
+ * HealthCheckPro - FHIR Export
+ * Converts a tool's quiz data into a FHIR R4 Questionnaire and a completed
+ * assessment into a matching QuestionnaireResponse, so partner clinics can
+ * import results into their EHR. Everything is built and validated in the
+ * browser; the file is downloaded straight from memory.
+ */
+
+class FhirExport {
+    constructor() {
+        this.baseUrl = 'https://healthcheckpro.com/fhir';
+        this.loincSystem = 'http://loinc.org';
+        this.ucumSystem = 'http://unitsofmeasure.org';
+        this.totalScoreLinkId = 'total-score';
+
+        // Canonical units used by SymptomChecker.toCanonicalValue()
+        this.canonicalUnits = {
+            temperature: { unit: '°C', code: 'Cel' },
+            duration: { unit: 'days', code: 'd' }
+        };
+    }
+
+    getQuestionnaireUrl(quizData) {
+        return `${this.baseUrl}/Questionnaire/${quizData.tool}`;
+    }
+
+    getAnswerSystem(quizData) {
+        return `${this.baseUrl}/CodeSystem/${quizData.tool}`;
+    }
+
+    getLinkId(question) {
+        return `q${question.id}`;
+    }
+
+    /**
+     * Build the Questionnaire resource for a tool's quiz-data.json
+     */
+    toQuestionnaire(quizData) {
+        const metadata = quizData.metadata || {};
+        const loinc = quizData.loinc || {};
+
+        const questionnaire = {
+            resourceType: 'Questionnaire',
+            id: quizData.tool,
+            url: this.getQuestionnaireUrl(quizData),
+            version: quizData.version,
+            name: quizData.tool.replace(/[^A-Za-z0-9]/g, '_'),
+            title: quizData.title,
+            status: 'active',
+            subjectType: ['Patient'],
+            description: quizData.description
+        };
+
+        if (metadata.lastUpdated) questionnaire.date = metadata.lastUpdated;
+        if (metadata.disclaimer) questionnaire.purpose = metadata.disclaimer;
+        if (loinc.panel) {
+            questionnaire.code = [{ system: this.loincSystem, code: loinc.panel, display: quizData.title }];
+        }
+
+        questionnaire.item = quizData.questions.map(question => this.toQuestionnaireItem(question, quizData));
+
+        questionnaire.item.push({
+            linkId: this.totalScoreLinkId,
+            text: 'Total score',
+            type: 'integer',
+            readOnly: true,
+            ...(loinc.totalScore && {
+                code: [{ system: this.loincSystem, code: loinc.totalScore, display: 'Total score' }]
+            })
+        });
+
+        return questionnaire;
+    }
+
+    toQuestionnaireItem(question, quizData) {
+        const item = {
+            linkId: this.getLinkId(question),
+            text: question.question,
+            type: this.getItemType(question),
+            required: !question.showIf
+        };
+
+        if (question.loinc) {
+            item.code = [{ system: this.loincSystem, code: question.loinc, display: question.question }];
+        }
+
+        if (question.type === 'multi-choice') {
+            item.repeats = true;
+        }
+
+        if (question.options) {
+            item.answerOption = question.options.map(option => ({
+                valueCoding: this.toCoding(option, quizData)
+            }));
+        }
+
+        if (this.canonicalUnits[question.type]) {
+            const unit = this.canonicalUnits[question.type];
+            item.extension = [{
+                url: 'http://hl7.org/fhir/StructureDefinition/questionnaire-unitOption',
+                valueCoding: { system: this.ucumSystem, code: unit.code, display: unit.unit }
+            }];
+        }
+
+        const enableWhen = question.showIf && this.toEnableWhen(question.showIf, quizData);
+        if (enableWhen) {
+            item.enableWhen = enableWhen.conditions;
+            if (enableWhen.conditions.length > 1) {
+                item.enableBehavior = enableWhen.behavior;
+            }
+        }
+
+        return item;
+    }
+
+    getItemType(question) {
+        if (question.options) return 'choice';
+        if (this.canonicalUnits[question.type]) return 'quantity';
+        if (question.type === 'number') return 'decimal';
+        return 'integer';
+    }
+
+    toCoding(option, quizData) {
+        if (option.loinc) {
+            return { system: this.loincSystem, code: option.loinc, display: option.text };
+        }
+        return { system: this.getAnswerSystem(quizData), code: option.value, display: option.text };
+    }
+
+    /**
+     * Translate a showIf condition into enableWhen. FHIR can only combine
+     * conditions one level deep with a single any/all behavior, so nested
+     * mixes that can't be expressed are left out and the item is simply
+     * optional in the Questionnaire.
+     */
+    toEnableWhen(condition, quizData) {
+        if (condition.all || condition.any) {
+            const behavior = condition.all ? 'all' : 'any';
+            const parts = (condition.all || condition.any).map(part => this.toEnableWhen(part, quizData));
+
+            if (parts.some(part => !part)) return null;
+            if (parts.some(part => part.conditions.length > 1 && part.behavior !== behavior)) return null;
+
+            return { behavior, conditions: parts.flatMap(part => part.conditions) };
+        }
+
+        const question = quizData.questions.find(q => q.id === condition.question);
+        if (!question) return null;
+
+        const linkId = this.getLinkId(question);
+
+        if (condition.answers) {
+            const conditions = condition.answers.map(value => {
+                const option = (question.options || []).find(opt => opt.value === value);
+                return option ? { question: linkId, operator: '=', answerCoding: this.toCoding(option, quizData) } : null;
+            });
+            if (conditions.includes(null)) return null;
+            return { behavior: 'any', conditions };
+        }
+
+        if (condition.notAnswers) {
+            const conditions = condition.notAnswers.map(value => {
+                const option = (question.options || []).find(opt => opt.value === value);
+                return option ? { question: linkId, operator: '!=', answerCoding: this.toCoding(option, quizData) } : null;
+            });
+            if (conditions.includes(null)) return null;
+            return { behavior: 'all', conditions };
+        }
+
+        if (condition.min !== undefined || condition.max !== undefined) {
+            const valueKey = this.getItemType(question) === 'quantity' ? 'answerQuantity' : 'answerDecimal';
+            const toValue = value => valueKey === 'answerQuantity'
+                ? { value, system: this.ucumSystem, code: this.canonicalUnits[question.type].code }
+                : value;
+            const conditions = [];
+            if (condition.min !== undefined) conditions.push({ question: linkId, operator: '>=', [valueKey]: toValue(condition.min) });
+            if (condition.max !== undefined) conditions.push({ question: linkId, operator: '<=', [valueKey]: toValue(condition.max) });
+            return { behavior: 'all', conditions };
+        }
+
+        return null;
+    }
+
+    /**
+     * Build the QuestionnaireResponse for a completed assessment from
+     * SymptomChecker.exportResults()
+     */
+    toQuestionnaireResponse(results, quizData) {
+        const items = [];
+
+        quizData.questions.forEach((question, index) => {
+            const answer = results.answers[index];
+            if (!answer) return;
+
+            items.push({
+                linkId: this.getLinkId(question),
+                text: question.question,
+                answer: this.toAnswers(question, answer, quizData)
+            });
+        });
+
+        items.push({
+            linkId: this.totalScoreLinkId,
+            text: 'Total score',
+            answer: [{ valueInteger: results.score }]
+        });
+
+        return {
+            resourceType: 'QuestionnaireResponse',
+            id: `${quizData.tool}-${Date.parse(results.completedAt)}`,
+            questionnaire: `${this.getQuestionnaireUrl(quizData)}|${quizData.version}`,
+            status: 'completed',
+            authored: results.completedAt,
+            item: items
+        };
+    }
+
+    toAnswers(question, answer, quizData) {
+        const type = this.getItemType(question);
+
+        if (type === 'choice') {
+            const values = Array.isArray(answer.value) ? answer.value : [answer.value];
+            return values.map(value => {
+                const option = question.options.find(opt => opt.value === value);
+                return { valueCoding: this.toCoding(option || { value, text: value }, quizData) };
+            });
+        }
+
+        if (type === 'quantity') {
+            const unit = this.canonicalUnits[question.type];
+            return [{ valueQuantity: { value: answer.value, unit: unit.unit, system: this.ucumSystem, code: unit.code } }];
+        }
+
+        if (type === 'decimal') {
+            return [{ valueDecimal: answer.value }];
+        }
+
+        return [{ valueInteger: parseInt(answer.value, 10) }];
+    }
+
+    /**
+     * Check the structure of a Questionnaire/QuestionnaireResponse pair.
+     * Returns a list of problems; an empty list means the export is valid.
+     */
+    validate(questionnaire, response) {
+        const errors = [];
+        const items = {};
+        const valueKeys = {
+            choice: 'valueCoding',
+            quantity: 'valueQuantity',
+            decimal: 'valueDecimal',
+            integer: 'valueInteger'
+        };
+
+        if (questionnaire.resourceType !== 'Questionnaire') errors.push('Questionnaire: resourceType must be "Questionnaire"');
+        if (!['draft', 'active', 'retired', 'unknown'].includes(questionnaire.status)) errors.push('Questionnaire: invalid status');
+        if (!questionnaire.url) errors.push('Questionnaire: url is required for responses to reference it');
+
+        (questionnaire.item || []).forEach(item => {
+            if (!item.linkId) errors.push('Questionnaire: every item needs a linkId');
+            if (items[item.linkId]) errors.push(`Questionnaire: duplicate linkId "${item.linkId}"`);
+            if (!valueKeys[item.type]) errors.push(`Questionnaire: item "${item.linkId}" has unsupported type "${item.type}"`);
+            if (item.type === 'choice' && !(item.answerOption || []).length) errors.push(`Questionnaire: choice item "${item.linkId}" has no answerOption`);
+            items[item.linkId] = item;
+        });
+
+        (questionnaire.item || []).forEach(item => {
+            (item.enableWhen || []).forEach(condition => {
+                if (!items[condition.question]) errors.push(`Questionnaire: item "${item.linkId}" depends on unknown item "${condition.question}"`);
+            });
+        });
+
+        if (response.resourceType !== 'QuestionnaireResponse') errors.push('QuestionnaireResponse: resourceType must be "QuestionnaireResponse"');
+        if (response.status !== 'completed') errors.push('QuestionnaireResponse: status must be "completed"');
+        if (response.questionnaire !== `${questionnaire.url}|${questionnaire.version}`) errors.push('QuestionnaireResponse: questionnaire does not reference this Questionnaire');
+        if (!response.authored || isNaN(Date.parse(response.authored))) errors.push('QuestionnaireResponse: authored must be a dateTime');
+
+        const answered = new Set();
+        (response.item || []).forEach(responseItem => {
+            const item = items[responseItem.linkId];
+            answered.add(responseItem.linkId);
+
+            if (!item) {
+                errors.push(`QuestionnaireResponse: item "${responseItem.linkId}" is not in the Questionnaire`);
+                return;
+            }
+
+            const answers = responseItem.answer || [];
+            if (!answers.length) errors.push(`QuestionnaireResponse: item "${item.linkId}" has no answer`);
+            if (answers.length > 1 && !item.repeats) errors.push(`QuestionnaireResponse: item "${item.linkId}" does not allow multiple answers`);
+
+            answers.forEach(answer => {
+                const key = valueKeys[item.type];
+                if (answer[key] === undefined || answer[key] === null || Number.isNaN(answer[key])) {
+                    errors.push(`QuestionnaireResponse: item "${item.linkId}" needs ${key}`);
+                    return;
+                }
+
+                if (item.type === 'choice') {
+                    const allowed = item.answerOption.some(option =>
+                        option.valueCoding.system === answer.valueCoding.system &&
+                        option.valueCoding.code === answer.valueCoding.code
+                    );
+                    if (!allowed) errors.push(`QuestionnaireResponse: "${answer.valueCoding.code}" is not an option for item "${item.linkId}"`);
+                }
+            });
+        });
+
+        // Required items must be answered unless enableWhen switched them off
+        (questionnaire.item || []).forEach(item => {
+            if (item.required && !item.enableWhen && !item.readOnly && !answered.has(item.linkId)) {
+                errors.push(`QuestionnaireResponse: required item "${item.linkId}" is not answered`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Build both resources as a collection Bundle, validate it and
+     * download it as a .json file. Throws if validation fails.
+     */
+    download(results, quizData) {
+        if (!results) return null;
+
+        const questionnaire = this.toQuestionnaire(quizData);
+        const response = this.toQuestionnaireResponse(results, quizData);
+        const errors = this.validate(questionnaire, response);
+
+        if (errors.length) {
+            throw new Error(`FHIR export failed validation:\n${errors.join('\n')}`);
+        }
+
+        const bundle = {
+            resourceType: 'Bundle',
+            type: 'collection',
+            timestamp: results.completedAt,
+            entry: [
+                { fullUrl: questionnaire.url, resource: questionnaire },
+                { fullUrl: `${this.baseUrl}/QuestionnaireResponse/${response.id}`, resource: response }
+            ]
+        };
+
+        const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/fhir+json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${quizData.tool}-${results.completedAt.slice(0, 10)}.fhir.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+        return bundle;
+    }
+}
+
+// Export for global access
+window.FhirExport = new FhirExport();
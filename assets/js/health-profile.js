@@ -0,0 +1,100 @@
+/**
+ * HealthCheckPro - Health Profile
+ * Age, sex and pregnancy answers that some checkers use to pick score
+ * thresholds and red flags. They are kept in localStorage on this device
+ * only and shared between checkers, so they are asked for once.
+ */
+
+class HealthProfile {
+    constructor() {
+        this.storageKey = 'healthcheckpro_profile';
+    }
+
+    load() {
+        try {
+            return HealthProfile.clean(JSON.parse(localStorage.getItem(this.storageKey) || '{}'));
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /**
+     * Stores the answers to the given fields, leaving fields that other
+     * checkers asked for alone; a field left blank is removed
+     */
+    update(values, fields) {
+        const stored = this.load();
+        fields.forEach(field => {
+            if (values[field] === undefined) {
+                delete stored[field];
+            } else {
+                stored[field] = values[field];
+            }
+        });
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(HealthProfile.clean(stored)));
+            return true;
+        } catch (e) {
+            console.log('Profile saving disabled - localStorage not available');
+            return false;
+        }
+    }
+
+    clear() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (e) {
+            // Nothing to clear when storage is unavailable
+        }
+    }
+
+    /**
+     * Whether a field applies given the other answers, e.g. pregnancy is
+     * only asked when sex is female
+     */
+    static isApplicable(field, values, fields = Object.keys(HealthProfile.fields)) {
+        const showIf = HealthProfile.fields[field].showIf;
+        return !showIf || !fields.includes(showIf.field) || showIf.answers.includes(values[showIf.field]);
+    }
+
+    /**
+     * Drops unknown fields, out-of-range ages and answers that no longer apply
+     */
+    static clean(values, fields = Object.keys(HealthProfile.fields)) {
+        const cleaned = {};
+
+        fields.forEach(field => {
+            const definition = HealthProfile.fields[field];
+            const value = values ? values[field] : undefined;
+            if (!definition || value === undefined || value === null) return;
+
+            const isValid = definition.type === 'number'
+                ? typeof value === 'number' && value >= definition.min && value <= definition.max
+                : definition.options.includes(value);
+            if (isValid) cleaned[field] = value;
+        });
+
+        fields.forEach(field => {
+            if (cleaned[field] !== undefined && !HealthProfile.isApplicable(field, cleaned, fields)) {
+                delete cleaned[field];
+            }
+        });
+
+        return cleaned;
+    }
+}
+
+// Fields a quiz can list in profile.fields and refer to in conditions
+HealthProfile.fields = {
+    age: { type: 'number', min: 0, max: 120 },
+    sex: { type: 'choice', options: ['female', 'male', 'unspecified'] },
+    pregnant: { type: 'choice', options: ['yes', 'no', 'unsure'], showIf: { field: 'sex', answers: ['female'] } }
+};
+
+// Export for global access
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HealthProfile;
+} else {
+    window.HealthProfile = HealthProfile;
+}
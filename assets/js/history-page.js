@@ -0,0 +1,220 @@
+/**
+ * HealthCheckPro - Assessment History Page
+ * Charts each tool's scores over time against its scoring bands
+ */
+
+class HistoryPage {
+    constructor(history, i18n) {
+        this.history = history;
+        this.i18n = i18n || new I18n(I18n.detectLocale(Object.keys(I18n.messages)));
+        this.chartWidth = 640;
+        this.chartHeight = 240;
+        this.chartPadding = { top: 16, right: 16, bottom: 32, left: 40 };
+
+        this.init();
+    }
+
+    async init() {
+        this.i18n.applyTo(document);
+        this.setupEventListeners();
+
+        try {
+            await this.render();
+        } catch (error) {
+            console.error('Failed to load assessment history:', error);
+            this.setSummary(this.i18n.t('historyLoadError'));
+        }
+    }
+
+    setupEventListeners() {
+        document.addEventListener('click', async (e) => {
+            const deleteButton = e.target.closest('.delete-history-entry');
+            if (deleteButton) {
+                if (confirm(this.i18n.t('historyConfirmDelete'))) {
+                    await this.history.delete(Number(deleteButton.dataset.id));
+                    await this.render();
+                    this.announceToScreenReader(this.i18n.t('historyDeleted'));
+                }
+            }
+
+            if (e.target.closest('.delete-all-history')) {
+                if (confirm(this.i18n.t('historyConfirmDeleteAll'))) {
+                    await this.history.clear();
+                    await this.render();
+                    this.announceToScreenReader(this.i18n.t('historyAllDeleted'));
+                }
+            }
+        });
+    }
+
+    async render() {
+        const entries = await this.history.getAll();
+        const list = document.querySelector('.history-list');
+        const empty = document.querySelector('.history-empty');
+        const deleteAll = document.querySelector('.delete-all-history');
+
+        list.innerHTML = '';
+        empty.hidden = entries.length > 0;
+        deleteAll.hidden = entries.length === 0;
+
+        if (entries.length === 0) {
+            this.setSummary('');
+            return;
+        }
+
+        const byTool = {};
+        entries.forEach(entry => {
+            (byTool[entry.tool] = byTool[entry.tool] || []).push(entry);
+        });
+
+        Object.keys(byTool).forEach(tool => {
+            list.appendChild(this.renderTool(byTool[tool]));
+        });
+
+        this.setSummary(this.i18n.t('historySummary', {
+            assessments: this.i18n.t('historyAssessments', { count: entries.length }),
+            tools: this.i18n.t('historyTools', { count: Object.keys(byTool).length })
+        }));
+    }
+
+    renderTool(entries) {
+        const latest = entries[entries.length - 1];
+        const section = document.createElement('section');
+        section.className = 'history-tool';
+        section.setAttribute('aria-labelledby', `history-${latest.tool}`);
+
+        section.innerHTML = `
+            <div class="history-tool-header">
+                <h2 id="history-${latest.tool}">${latest.title || latest.tool}</h2>
+                <a href="/tools/${latest.tool}/" class="btn-primary">${this.i18n.t('historyTakeAgain')}</a>
+            </div>
+            <div class="history-chart">
+                ${this.renderChart(entries)}
+            </div>
+            <ul class="history-legend">
+                ${latest.bands.map(band => `
+                    <li><span class="legend-swatch" style="background-color: ${band.color}"></span>${band.label} (${band.min}-${band.max})</li>
+                `).join('')}
+            </ul>
+            <table class="history-table">
+                <thead>
+                    <tr>
+                        <th scope="col">${this.i18n.t('historyDate')}</th>
+                        <th scope="col">${this.i18n.t('historyScore')}</th>
+                        <th scope="col">${this.i18n.t('historyResult')}</th>
+                        <th scope="col"><span class="sr-only">${this.i18n.t('historyActions')}</span></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${entries.slice().reverse().map(entry => `
+                        <tr>
+                            <td>${this.formatDate(entry.completedAt)}</td>
+                            <td>${entry.score}${entry.maxScore ? ` / ${entry.maxScore}` : ''}</td>
+                            <td>${this.getBand(entry).label || entry.level}</td>
+                            <td><button type="button" class="delete-history-entry" data-id="${entry.id}" aria-label="${this.i18n.t('historyDeleteEntry', { date: this.formatDate(entry.completedAt) })}">${this.i18n.t('historyDelete')}</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        return section;
+    }
+
+    renderChart(entries) {
+        const { top, right, bottom, left } = this.chartPadding;
+        const width = this.chartWidth;
+        const height = this.chartHeight;
+        const plotWidth = width - left - right;
+        const plotHeight = height - top - bottom;
+        const latest = entries[entries.length - 1];
+        const maxScore = Math.max(...entries.map(entry => entry.maxScore || Math.max(...entry.bands.map(band => band.max))));
+
+        const times = entries.map(entry => new Date(entry.completedAt).getTime());
+        const first = Math.min(...times);
+        const span = Math.max(...times) - first;
+
+        const x = time => left + (span === 0 ? plotWidth / 2 : ((time - first) / span) * plotWidth);
+        const y = score => top + plotHeight - (Math.min(score, maxScore) / maxScore) * plotHeight;
+
+        // Shade the scoring bands behind the line so the trend reads against the
+        // thresholds. Each result keeps the bands it was scored with (a quiz
+        // update or a health profile can move them), so the shading changes
+        // halfway between two results whose bands differ.
+        const segments = [];
+        entries.forEach((entry, i) => {
+            const start = i === 0 ? left : (x(times[i - 1]) + x(times[i])) / 2;
+            const key = JSON.stringify(entry.bands.map(band => [band.min, band.max, band.color]));
+            const previous = segments[segments.length - 1];
+            if (previous && previous.key === key) return;
+
+            if (previous) previous.end = start;
+            segments.push({ key: key, bands: entry.bands, start: start, end: left + plotWidth });
+        });
+
+        const bands = segments.map(segment => segment.bands.map(band => {
+            const bandTop = y(Math.min(band.max + 1, maxScore));
+            const bandBottom = y(band.min);
+            return `<rect x="${segment.start}" y="${bandTop}" width="${Math.max(segment.end - segment.start, 0)}" height="${Math.max(bandBottom - bandTop, 0)}" fill="${band.color}" opacity="0.15"></rect>`;
+        }).join('')).join('');
+
+        const points = entries.map((entry, i) => `${x(times[i])},${y(entry.score)}`).join(' ');
+
+        const markers = entries.map((entry, i) => `
+            <circle cx="${x(times[i])}" cy="${y(entry.score)}" r="5" fill="${this.getBand(entry).color || '#2196F3'}">
+                <title>${this.formatDate(entry.completedAt)}: ${entry.score}</title>
+            </circle>
+        `).join('');
+
+        const summary = entries.map(entry => `${this.formatDate(entry.completedAt)}: ${entry.score}`).join(', ');
+
+        return `
+            <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${this.i18n.t('historyChartLabel', { summary: summary })}">
+                ${bands}
+                <line x1="${left}" y1="${top + plotHeight}" x2="${left + plotWidth}" y2="${top + plotHeight}" stroke="#ccc"></line>
+                <line x1="${left}" y1="${top}" x2="${left}" y2="${top + plotHeight}" stroke="#ccc"></line>
+                <text x="${left - 8}" y="${y(0)}" text-anchor="end" dominant-baseline="middle">0</text>
+                <text x="${left - 8}" y="${y(maxScore)}" text-anchor="end" dominant-baseline="middle">${maxScore}</text>
+                <text x="${left}" y="${height - 8}">${this.formatDate(entries[0].completedAt)}</text>
+                <text x="${left + plotWidth}" y="${height - 8}" text-anchor="end">${this.formatDate(latest.completedAt)}</text>
+                ${entries.length > 1 ? `<polyline points="${points}" fill="none" stroke="#2196F3" stroke-width="2"></polyline>` : ''}
+                ${markers}
+            </svg>
+        `;
+    }
+
+    getBand(entry) {
+        return entry.bands.find(band => band.key === entry.level) || {};
+    }
+
+    formatDate(isoString) {
+        return new Date(isoString).toLocaleDateString(this.i18n.locale, { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    setSummary(message) {
+        const summary = document.querySelector('.history-summary');
+        if (summary) summary.textContent = message;
+    }
+
+    announceToScreenReader(message) {
+        const announcement = document.createElement('div');
+        announcement.setAttribute('aria-live', 'polite');
+        announcement.setAttribute('aria-atomic', 'true');
+        announcement.className = 'sr-only';
+        announcement.textContent = message;
+
+        document.body.appendChild(announcement);
+        setTimeout(() => {
+            if (document.body.contains(announcement)) {
+                document.body.removeChild(announcement);
+            }
+        }, 1000);
+    }
+}
+
+// Initialize history page when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    if (window.HealthHistory) {
+        window.historyPage = new HistoryPage(window.HealthHistory);
+    }
+});
@@ -0,0 +1,694 @@
+/**
+ * HealthCheckPro - Translations
+ * UI strings for the quiz engine in each supported language, language
+ * detection, and merging of a tool's quiz-data.<locale>.json over its
+ * English quiz-data.json. Runs in the browser and in Node via
+ * scripts/validate-quiz-data.js.
+ */
+
+class I18n {
+    constructor(locale) {
+        this.locale = I18n.messages[locale] ? locale : I18n.defaultLocale;
+        this.strings = Object.assign({}, I18n.messages[I18n.defaultLocale], I18n.messages[this.locale]);
+        this.dir = I18n.rtlLocales.includes(this.locale) ? 'rtl' : 'ltr';
+    }
+
+    /**
+     * Looks up a string and fills in {placeholders}. With a numeric
+     * params.count the plural form for this language is used, e.g.
+     * "prefillNotice_one" or "prefillNotice_other".
+     */
+    t(key, params = {}) {
+        let message = this.strings[key];
+
+        if (typeof params.count === 'number') {
+            const form = new Intl.PluralRules(this.locale).select(params.count);
+            message = this.strings[`${key}_${form}`] || this.strings[`${key}_other`] || message;
+        }
+
+        if (message === undefined) {
+            console.warn(`Missing translation for "${key}" (${this.locale})`);
+            return key;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => (params.hasOwnProperty(name) ? params[name] : match));
+    }
+
+    formatList(items) {
+        return new Intl.ListFormat(this.locale, { type: 'conjunction' }).format(items);
+    }
+
+    formatDate(date) {
+        return new Date(date).toLocaleDateString(this.locale);
+    }
+
+    formatDateTime(date) {
+        return new Date(date).toLocaleString(this.locale);
+    }
+
+    /**
+     * Translates the page: elements with data-i18n="key" take a UI string and
+     * elements with data-i18n-page="results.heading" take that field of the
+     * quiz data's "page" section
+     */
+    applyTo(root, page = {}) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+
+        root.querySelectorAll('[data-i18n-page]').forEach(element => {
+            const text = element.dataset.i18nPage.split('.').reduce((value, key) => (value ? value[key] : undefined), page);
+            if (typeof text === 'string') {
+                element.textContent = text;
+            }
+        });
+
+        if (root.documentElement) {
+            root.documentElement.lang = this.locale;
+            root.documentElement.dir = this.dir;
+        }
+    }
+
+    /**
+     * Picks the saved language, then the browser's, from those a tool offers
+     */
+    static detectLocale(available) {
+        const preferences = window.HealthCheckPro ? window.HealthCheckPro.getUserPreferences() : {};
+        const candidates = [preferences.locale]
+            .concat(navigator.languages || [navigator.language])
+            .filter(Boolean)
+            .map(tag => tag.toLowerCase().split('-')[0]);
+
+        return candidates.find(locale => available.includes(locale)) || I18n.defaultLocale;
+    }
+
+    static savePreferredLocale(locale) {
+        if (!window.HealthCheckPro) return false;
+
+        const preferences = window.HealthCheckPro.getUserPreferences();
+        preferences.locale = locale;
+        return window.HealthCheckPro.saveUserPreferences(preferences);
+    }
+
+    /**
+     * Copy of the English quiz data with the text from a translation file.
+     * Weights, values and rules always come from quiz-data.json, so a
+     * translation can only change what is shown, never how it is scored.
+     */
+    static localizeQuizData(quizData, translation) {
+        const localized = JSON.parse(JSON.stringify(quizData));
+        const text = translation || {};
+
+        ['title', 'description', 'emergencySymptoms', 'warningSymptoms'].forEach(key => {
+            if (text[key] !== undefined) localized[key] = text[key];
+        });
+
+        localized.questions.forEach(question => {
+            const translated = (text.questions || {})[question.id];
+            if (!translated) return;
+
+            ['question', 'description'].forEach(key => {
+                if (translated[key] !== undefined) question[key] = translated[key];
+            });
+            if (translated.scaleLabels) {
+                question.scaleLabels = Object.assign({}, question.scaleLabels, translated.scaleLabels);
+            }
+            (question.options || []).forEach(option => {
+                if (translated.options && translated.options[option.value] !== undefined) {
+                    option.text = translated.options[option.value];
+                }
+            });
+        });
+
+        Object.entries(text.categories || {}).forEach(([key, category]) => {
+            if (localized.categories && localized.categories[key]) {
+                Object.assign(localized.categories[key], category);
+            }
+        });
+
+        (localized.redFlags || []).forEach(flag => {
+            if (text.redFlags && text.redFlags[flag.id] !== undefined) {
+                flag.message = text.redFlags[flag.id];
+            }
+        });
+
+        localized.scoring.forEach(band => {
+            Object.assign(band, (text.scoring || {})[band.key]);
+        });
+
+        Object.assign(localized.recommendations, text.recommendations);
+
+        if (localized.crisisResources && text.crisisResources && text.crisisResources.ongoing) {
+            localized.crisisResources.ongoing = text.crisisResources.ongoing;
+        }
+
+        ((localized.profile && localized.profile.scoring) || []).forEach(profile => {
+            if (text.profile && text.profile[profile.id] !== undefined) {
+                profile.note = text.profile[profile.id];
+            }
+        });
+
+        if (localized.page && text.page) {
+            localized.page = I18n.mergeText(localized.page, text.page);
+        }
+
+        return localized;
+    }
+
+    static mergeText(target, source) {
+        Object.entries(source).forEach(([key, value]) => {
+            target[key] = value && typeof value === 'object' && !Array.isArray(value) && target[key]
+                ? I18n.mergeText(target[key], value)
+                : value;
+        });
+        return target;
+    }
+}
+
+I18n.defaultLocale = 'en';
+I18n.rtlLocales = ['ar'];
+
+// Shown in the language switcher in their own language
+I18n.languageNames = {
+    en: 'English',
+    es: 'Español',
+    ar: 'العربية'
+};
+
+I18n.messages = {
+    en: {
+        // Page chrome (data-i18n in templates/tool-page.html)
+        language: 'Language',
+        previous: '← Previous',
+        next: 'Next',
+        getResults: 'Get Results',
+        assessmentComplete: 'Assessment Complete',
+        whatThisMeans: 'What This Means',
+        resultsPlaceholder: 'Your results will appear here...',
+        restart: 'Take Assessment Again',
+        copyShareLink: 'Copy Share Link',
+        downloadReport: 'Download Report',
+        exportFhir: 'Export for Clinic (FHIR)',
+        viewHistory: 'View Your History',
+
+        // Question markup (QuizRenderer)
+        selectAll: 'Select all that apply',
+        unit: 'Unit',
+        scaleMin: 'Not at all',
+        scaleMax: 'Extremely',
+        hours: 'hours',
+        days: 'days',
+        weeks: 'weeks',
+
+        // Quiz engine
+        questionLabel: 'Question {position} of {total}',
+        prefilledBadge: 'Pre-filled from your earlier answers. Change it if it doesn\'t fit.',
+        selected: 'Selected: {answer}',
+        deselected: 'Deselected: {answer}',
+        selectedScale: 'Selected scale value: {value}',
+        scaleAnswer: 'Scale: {value}',
+        enterNumber: 'Please enter a number.',
+        valueBetween: 'Please enter a value between {min} and {max}.',
+        valueAtLeast: 'Please enter a value of at least {min}.',
+        valueAtMost: 'Please enter a value no higher than {max}.',
+        quizCompleted: 'Quiz completed. Your result is {level}. Score: {score}.',
+        riskScore: 'Risk Score',
+        whatDroveScore: 'What Drove Your Score',
+        categoryPoints: '{label}: {score} of {max} points',
+        categoryPointsExceeded: '{label}: {score} of {max} points, above the level of concern',
+        redFlagSymptoms: 'Get emergency help right away if you notice:',
+        quizRestarted: 'Quiz restarted. Starting from question 1.',
+        startingOver: 'Starting from question 1.',
+        fhirDownloaded: 'FHIR file downloaded.',
+        fhirFailed: 'Sorry, the FHIR file could not be created.',
+        unfinishedAssessment: 'Unfinished assessment',
+        welcomeBack: 'Welcome back',
+        unfinishedFrom: 'You have an unfinished assessment from {date}.',
+        resumeSession: 'Resume where you left off',
+        startOver: 'Start over',
+        resumedAt: 'Resumed at {label}.',
+        reuseRecentAnswers: 'Reuse recent answers',
+        useRecentHeading: 'Use your recent answers?',
+        recentAnswers_one: 'You already answered {count} of these questions in {sources}. We can fill it in for you; pre-filled answers are marked and you can change any of them.',
+        recentAnswers_other: 'You already answered {count} of these questions in {sources}. We can fill them in for you; pre-filled answers are marked and you can change any of them.',
+        recentSource: 'the {tool} on {date}',
+        useRecentAnswers: 'Use my recent answers',
+        answerFromScratch: 'Answer from scratch',
+        recentFilled_one: '{count} answer filled in. Starting from question 1.',
+        recentFilled_other: '{count} answers filled in. Starting from question 1.',
+        prefillNotice_one: '{count} answer was filled in from the questions you answered on the homepage. Please check it as you go.',
+        prefillNotice_other: '{count} answers were filled in from the questions you answered on the homepage. Please check them as you go.',
+        shareDamaged: 'This shared results link is incomplete or damaged, so the results can\'t be shown. You can take the assessment below.',
+        shareVersionMismatch: 'This link was created with a different version of this assessment ({version}; current version {current}). Questions or scoring have changed since then, so these results may not match what was originally shown. Consider taking the assessment again.',
+        versionUnknown: 'unknown',
+        sharePartial: 'Some answers in this link could not be read, so these results may be incomplete.',
+        sharedViewing: 'You are viewing results opened from a shared link.',
+        sharedAnnouncement: 'Showing shared results. Your result is {level}. Score: {score}.',
+        shareCopied: 'Share link copied to clipboard.',
+        copySharePrompt: 'Copy this link to share your results:',
+        emergencyHeading: '⚠️ This could be a medical emergency',
+        emergencyAdvice: 'Stop the assessment and call {number} or go to the nearest emergency department now.',
+        emergencyCall: '📞 Call {number}',
+        emergencyOtherNumbers: 'You can also call {numbers}.',
+        emergencyContinue: 'Continue the assessment anyway',
+        needHelpNow: 'Need help now?',
+        crisisIntro: 'If you are struggling or thinking about harming yourself, you can talk to someone right now. These services are free and confidential.',
+        crisisCountry: 'Country',
+        crisisOtherCountry: 'Another country',
+        crisisCall: 'Call {number}',
+        crisisText: 'Text {number}',
+        crisisTextKeyword: 'Text {keyword} to {number}',
+        crisisEmergency: 'Emergency services',
+        crisisNoDirectory: 'We don\'t list helplines for your country yet. Call your local emergency number, or find a helpline at <a href="https://findahelpline.com" rel="noopener">findahelpline.com</a>.',
+        crisisOngoing: 'Ongoing support',
+        close: 'Close',
+        consentHeading: 'Your privacy choices',
+        consentIntro: 'We use what is needed to run the site. With your permission we would also like to measure how the site is used and record anonymous sessions to improve it. Your answers to the assessments are never shared.',
+        consentAcceptAll: 'Accept all',
+        consentRejectAll: 'Reject all',
+        consentCustomize: 'Choose',
+        consentPreferences: 'Privacy preferences',
+        consentSave: 'Save choices',
+        consentGpc: 'Your browser is sending a Global Privacy Control signal, so analytics and session recording stay off.',
+        consentNecessary: 'Necessary',
+        consentNecessaryDescription: 'Saved on this device only: your language, saved assessments and these choices. Always on.',
+        consentAnalytics: 'Analytics',
+        consentAnalyticsDescription: 'Google Analytics, Google Tag Manager and our own statistics server count visits and which tools are used.',
+        consentSessionRecording: 'Session recording',
+        consentSessionRecordingDescription: 'Hotjar records clicks and scrolling on our pages so we can find what is hard to use. It never runs on the symptom checkers.',
+        updateAvailable: 'A new version of HealthCheckPro is available.',
+        reportCompleted: 'Completed {date}',
+        reportBasedOn: 'Based on: {source}',
+        reportTotalScore: 'Total score',
+        reportResult: 'Result',
+        reportWarningSigns: 'Warning signs reported',
+        reportAnswers: 'Answers',
+        reportQuestion: 'Question',
+        reportAnswer: 'Answer',
+        reportPoints: 'Points',
+        reportCategories: 'Score by category',
+        reportAboveConcern: '(above level of concern)',
+        reportRecommendations: 'Recommendations',
+        reportNotes: 'Notes for my appointment',
+        reportDisclaimer: 'This report is for informational purposes only and is not a medical diagnosis.',
+        reportGenerated: 'Generated on this device by HealthCheckPro.',
+        reportGeneratedVersion: 'Generated on this device by HealthCheckPro (assessment version {version}).',
+        historyHeading: 'Your Assessment History',
+        historyIntro: 'Track how your scores change over time. Your history is stored only in this browser and is never sent to our servers.',
+        historyStoredLocally: '🔒 Stored on this device only',
+        historyScoresOverTime: '📈 Scores over time',
+        historyLoading: 'Loading your history...',
+        historyLoadError: 'Your history could not be loaded. Private browsing modes may block on-device storage.',
+        historyAssessments_one: '{count} saved assessment',
+        historyAssessments_other: '{count} saved assessments',
+        historyTools_one: '{count} tool',
+        historyTools_other: '{count} tools',
+        historySummary: '{assessments} across {tools}.',
+        historyTakeAgain: 'Take Again',
+        historyDate: 'Date',
+        historyScore: 'Score',
+        historyResult: 'Result',
+        historyActions: 'Actions',
+        historyDelete: 'Delete',
+        historyDeleteEntry: 'Delete assessment from {date}',
+        historyChartLabel: 'Scores over time. {summary}',
+        historyConfirmDelete: 'Delete this assessment from your history?',
+        historyDeleted: 'Assessment deleted.',
+        historyDeleteAll: 'Delete all history',
+        historyConfirmDeleteAll: 'Delete all saved assessments from this device? This cannot be undone.',
+        historyAllDeleted: 'All assessment history deleted.',
+        historyEmptyHeading: 'No assessments yet',
+        historyEmptyText: 'When you complete a symptom checker, your result is saved here so you can compare it next time.',
+        historyChooseChecker: 'Choose a Symptom Checker',
+        historyDisclaimerHeading: '⚠️ Important Medical Disclaimer',
+        historyDisclaimer: 'Score trends are for your own information only and cannot replace professional medical evaluation. If your symptoms worsen or you are concerned about your health, contact your healthcare provider.',
+        profileHeading: 'A few details about you',
+        profileIntro: 'Age, sex and pregnancy can change which symptoms are urgent. These details are optional and are saved only on this device, never sent anywhere.',
+        profile_age: 'Age',
+        profileYears: 'years',
+        profile_sex: 'Sex',
+        sex_female: 'Female',
+        sex_male: 'Male',
+        sex_unspecified: 'Prefer not to say',
+        profile_pregnant: 'Are you pregnant?',
+        pregnant_yes: 'Yes',
+        pregnant_no: 'No',
+        pregnant_unsure: 'Not sure',
+        profileContinue: 'Continue',
+        profileSkip: 'Skip this step',
+        profileForget: 'Forget saved details',
+        profileForgotten: 'Your saved details were removed from this device.',
+        profileAgeError: 'Enter an age in whole years between {min} and {max}, or leave it blank.',
+        languageChanged: 'Language changed to {language}.',
+        loadError: 'Failed to load quiz data. Please refresh the page.',
+        errorHeading: '❌ Error',
+        reloadPage: 'Reload Page'
+    },
+
+    es: {
+        language: 'Idioma',
+        previous: '← Anterior',
+        next: 'Siguiente',
+        getResults: 'Ver resultados',
+        assessmentComplete: 'Evaluación completada',
+        whatThisMeans: 'Qué significa',
+        resultsPlaceholder: 'Sus resultados aparecerán aquí...',
+        restart: 'Repetir la evaluación',
+        copyShareLink: 'Copiar enlace para compartir',
+        downloadReport: 'Descargar informe',
+        exportFhir: 'Exportar para la clínica (FHIR)',
+        viewHistory: 'Ver su historial',
+
+        selectAll: 'Seleccione todas las que correspondan',
+        unit: 'Unidad',
+        scaleMin: 'Nada',
+        scaleMax: 'Muchísimo',
+        hours: 'horas',
+        days: 'días',
+        weeks: 'semanas',
+
+        questionLabel: 'Pregunta {position} de {total}',
+        prefilledBadge: 'Completada con sus respuestas anteriores. Cámbiela si no corresponde.',
+        selected: 'Seleccionado: {answer}',
+        deselected: 'Deseleccionado: {answer}',
+        selectedScale: 'Valor de la escala seleccionado: {value}',
+        scaleAnswer: 'Escala: {value}',
+        enterNumber: 'Introduzca un número.',
+        valueBetween: 'Introduzca un valor entre {min} y {max}.',
+        valueAtLeast: 'Introduzca un valor de al menos {min}.',
+        valueAtMost: 'Introduzca un valor no superior a {max}.',
+        quizCompleted: 'Cuestionario completado. Su resultado es {level}. Puntuación: {score}.',
+        riskScore: 'Puntuación de riesgo',
+        whatDroveScore: 'Qué influyó en su puntuación',
+        categoryPoints: '{label}: {score} de {max} puntos',
+        categoryPointsExceeded: '{label}: {score} de {max} puntos, por encima del nivel de alerta',
+        redFlagSymptoms: 'Busque ayuda de emergencia de inmediato si nota:',
+        quizRestarted: 'Cuestionario reiniciado. Empezando por la pregunta 1.',
+        startingOver: 'Empezando por la pregunta 1.',
+        fhirDownloaded: 'Archivo FHIR descargado.',
+        fhirFailed: 'No se pudo crear el archivo FHIR.',
+        unfinishedAssessment: 'Evaluación sin terminar',
+        welcomeBack: 'Bienvenido de nuevo',
+        unfinishedFrom: 'Tiene una evaluación sin terminar del {date}.',
+        resumeSession: 'Continuar donde lo dejó',
+        startOver: 'Empezar de nuevo',
+        resumedAt: 'Continuando en la {label}.',
+        reuseRecentAnswers: 'Reutilizar respuestas recientes',
+        useRecentHeading: '¿Usar sus respuestas recientes?',
+        recentAnswers_one: 'Ya respondió {count} de estas preguntas en {sources}. Podemos completarla por usted; las respuestas completadas están marcadas y puede cambiar cualquiera de ellas.',
+        recentAnswers_other: 'Ya respondió {count} de estas preguntas en {sources}. Podemos completarlas por usted; las respuestas completadas están marcadas y puede cambiar cualquiera de ellas.',
+        recentSource: 'el {tool} el {date}',
+        useRecentAnswers: 'Usar mis respuestas recientes',
+        answerFromScratch: 'Responder desde el principio',
+        recentFilled_one: '{count} respuesta completada. Empezando por la pregunta 1.',
+        recentFilled_other: '{count} respuestas completadas. Empezando por la pregunta 1.',
+        prefillNotice_one: 'Se completó {count} respuesta con lo que contestó en la página de inicio. Revísela a medida que avanza.',
+        prefillNotice_other: 'Se completaron {count} respuestas con lo que contestó en la página de inicio. Revíselas a medida que avanza.',
+        shareDamaged: 'Este enlace de resultados está incompleto o dañado, por lo que no se pueden mostrar los resultados. Puede hacer la evaluación a continuación.',
+        shareVersionMismatch: 'Este enlace se creó con otra versión de esta evaluación ({version}; versión actual {current}). Las preguntas o la puntuación han cambiado desde entonces, así que estos resultados podrían no coincidir con los que se mostraron originalmente. Considere hacer la evaluación de nuevo.',
+        versionUnknown: 'desconocida',
+        sharePartial: 'No se pudieron leer algunas respuestas de este enlace, así que estos resultados pueden estar incompletos.',
+        sharedViewing: 'Está viendo resultados abiertos desde un enlace compartido.',
+        sharedAnnouncement: 'Mostrando resultados compartidos. Su resultado es {level}. Puntuación: {score}.',
+        shareCopied: 'Enlace copiado al portapapeles.',
+        copySharePrompt: 'Copie este enlace para compartir sus resultados:',
+        emergencyHeading: '⚠️ Esto podría ser una emergencia médica',
+        emergencyAdvice: 'Detenga la evaluación y llame al {number} o acuda ahora al servicio de urgencias más cercano.',
+        emergencyCall: '📞 Llamar al {number}',
+        emergencyOtherNumbers: 'También puede llamar al {numbers}.',
+        emergencyContinue: 'Continuar la evaluación de todos modos',
+        needHelpNow: '¿Necesita ayuda ahora?',
+        crisisIntro: 'Si lo está pasando mal o piensa en hacerse daño, puede hablar con alguien ahora mismo. Estos servicios son gratuitos y confidenciales.',
+        crisisCountry: 'País',
+        crisisOtherCountry: 'Otro país',
+        crisisCall: 'Llamar al {number}',
+        crisisText: 'Enviar un SMS al {number}',
+        crisisTextKeyword: 'Enviar {keyword} por SMS al {number}',
+        crisisEmergency: 'Servicios de emergencia',
+        crisisNoDirectory: 'Aún no tenemos líneas de ayuda para su país. Llame al número de emergencias local o busque una línea en <a href="https://findahelpline.com" rel="noopener">findahelpline.com</a>.',
+        crisisOngoing: 'Apoyo continuo',
+        close: 'Cerrar',
+        consentHeading: 'Tus opciones de privacidad',
+        consentIntro: 'Usamos lo necesario para que el sitio funcione. Con tu permiso, también queremos medir cómo se usa el sitio y grabar sesiones anónimas para mejorarlo. Tus respuestas a las evaluaciones nunca se comparten.',
+        consentAcceptAll: 'Aceptar todo',
+        consentRejectAll: 'Rechazar todo',
+        consentCustomize: 'Elegir',
+        consentPreferences: 'Preferencias de privacidad',
+        consentSave: 'Guardar opciones',
+        consentGpc: 'Tu navegador envía una señal de Control Global de Privacidad, así que la analítica y la grabación de sesiones siguen desactivadas.',
+        consentNecessary: 'Necesarias',
+        consentNecessaryDescription: 'Se guardan solo en este dispositivo: tu idioma, tus evaluaciones guardadas y estas opciones. Siempre activas.',
+        consentAnalytics: 'Analítica',
+        consentAnalyticsDescription: 'Google Analytics, Google Tag Manager y nuestro propio servidor de estadísticas cuentan las visitas y qué herramientas se usan.',
+        consentSessionRecording: 'Grabación de sesiones',
+        consentSessionRecordingDescription: 'Hotjar registra clics y desplazamientos en nuestras páginas para encontrar lo que es difícil de usar. Nunca se ejecuta en los evaluadores de síntomas.',
+        updateAvailable: 'Hay una nueva versión de HealthCheckPro disponible.',
+        reportCompleted: 'Completado el {date}',
+        reportBasedOn: 'Basado en: {source}',
+        reportTotalScore: 'Puntuación total',
+        reportResult: 'Resultado',
+        reportWarningSigns: 'Señales de alarma indicadas',
+        reportAnswers: 'Respuestas',
+        reportQuestion: 'Pregunta',
+        reportAnswer: 'Respuesta',
+        reportPoints: 'Puntos',
+        reportCategories: 'Puntuación por categoría',
+        reportAboveConcern: '(por encima del nivel de preocupación)',
+        reportRecommendations: 'Recomendaciones',
+        reportNotes: 'Notas para mi cita',
+        reportDisclaimer: 'Este informe es solo informativo y no es un diagnóstico médico.',
+        reportGenerated: 'Generado en este dispositivo por HealthCheckPro.',
+        reportGeneratedVersion: 'Generado en este dispositivo por HealthCheckPro (versión de la evaluación {version}).',
+        historyHeading: 'Su historial de evaluaciones',
+        historyIntro: 'Vea cómo cambian sus puntuaciones con el tiempo. Su historial se guarda solo en este navegador y nunca se envía a nuestros servidores.',
+        historyStoredLocally: '🔒 Guardado solo en este dispositivo',
+        historyScoresOverTime: '📈 Puntuaciones a lo largo del tiempo',
+        historyLoading: 'Cargando su historial...',
+        historyLoadError: 'No se pudo cargar su historial. Los modos de navegación privada pueden bloquear el almacenamiento en el dispositivo.',
+        historyAssessments_one: '{count} evaluación guardada',
+        historyAssessments_other: '{count} evaluaciones guardadas',
+        historyTools_one: '{count} herramienta',
+        historyTools_other: '{count} herramientas',
+        historySummary: '{assessments} en {tools}.',
+        historyTakeAgain: 'Repetir',
+        historyDate: 'Fecha',
+        historyScore: 'Puntuación',
+        historyResult: 'Resultado',
+        historyActions: 'Acciones',
+        historyDelete: 'Eliminar',
+        historyDeleteEntry: 'Eliminar la evaluación del {date}',
+        historyChartLabel: 'Puntuaciones a lo largo del tiempo. {summary}',
+        historyConfirmDelete: '¿Eliminar esta evaluación de su historial?',
+        historyDeleted: 'Evaluación eliminada.',
+        historyDeleteAll: 'Eliminar todo el historial',
+        historyConfirmDeleteAll: '¿Eliminar todas las evaluaciones guardadas en este dispositivo? No se puede deshacer.',
+        historyAllDeleted: 'Se eliminó todo el historial de evaluaciones.',
+        historyEmptyHeading: 'Aún no hay evaluaciones',
+        historyEmptyText: 'Cuando complete un evaluador de síntomas, su resultado se guardará aquí para que pueda compararlo la próxima vez.',
+        historyChooseChecker: 'Elegir un evaluador de síntomas',
+        historyDisclaimerHeading: '⚠️ Aviso médico importante',
+        historyDisclaimer: 'La evolución de las puntuaciones es solo para su información y no sustituye una evaluación médica profesional. Si sus síntomas empeoran o le preocupa su salud, contacte con su profesional sanitario.',
+        profileHeading: 'Algunos datos sobre usted',
+        profileIntro: 'La edad, el sexo y el embarazo pueden cambiar qué síntomas son urgentes. Estos datos son opcionales y solo se guardan en este dispositivo; nunca se envían.',
+        profile_age: 'Edad',
+        profileYears: 'años',
+        profile_sex: 'Sexo',
+        sex_female: 'Mujer',
+        sex_male: 'Hombre',
+        sex_unspecified: 'Prefiero no decirlo',
+        profile_pregnant: '¿Está embarazada?',
+        pregnant_yes: 'Sí',
+        pregnant_no: 'No',
+        pregnant_unsure: 'No estoy segura',
+        profileContinue: 'Continuar',
+        profileSkip: 'Omitir este paso',
+        profileForget: 'Olvidar los datos guardados',
+        profileForgotten: 'Se eliminaron sus datos guardados de este dispositivo.',
+        profileAgeError: 'Escriba una edad en años enteros entre {min} y {max}, o déjela en blanco.',
+        languageChanged: 'Idioma cambiado a {language}.',
+        loadError: 'No se pudieron cargar las preguntas. Actualice la página.',
+        errorHeading: '❌ Error',
+        reloadPage: 'Recargar la página'
+    },
+
+    ar: {
+        language: 'اللغة',
+        previous: '→ السابق',
+        next: 'التالي',
+        getResults: 'عرض النتائج',
+        assessmentComplete: 'اكتمل التقييم',
+        whatThisMeans: 'ماذا يعني ذلك',
+        resultsPlaceholder: 'ستظهر نتائجك هنا...',
+        restart: 'إعادة التقييم',
+        copyShareLink: 'نسخ رابط المشاركة',
+        downloadReport: 'تنزيل التقرير',
+        exportFhir: 'تصدير للعيادة (FHIR)',
+        viewHistory: 'عرض السجل',
+
+        selectAll: 'اختر كل ما ينطبق',
+        unit: 'الوحدة',
+        scaleMin: 'إطلاقًا',
+        scaleMax: 'بشدة',
+        hours: 'ساعات',
+        days: 'أيام',
+        weeks: 'أسابيع',
+
+        questionLabel: 'السؤال {position} من {total}',
+        prefilledBadge: 'تمت تعبئته من إجاباتك السابقة. غيّره إذا لم يكن مناسبًا.',
+        selected: 'تم اختيار: {answer}',
+        deselected: 'تم إلغاء اختيار: {answer}',
+        selectedScale: 'القيمة المختارة على المقياس: {value}',
+        scaleAnswer: 'المقياس: {value}',
+        enterNumber: 'يرجى إدخال رقم.',
+        valueBetween: 'يرجى إدخال قيمة بين {min} و{max}.',
+        valueAtLeast: 'يرجى إدخال قيمة لا تقل عن {min}.',
+        valueAtMost: 'يرجى إدخال قيمة لا تزيد عن {max}.',
+        quizCompleted: 'اكتمل الاستبيان. نتيجتك: {level}. الدرجة: {score}.',
+        riskScore: 'درجة الخطورة',
+        whatDroveScore: 'ما الذي أثّر في درجتك',
+        categoryPoints: '{label}: {score} من {max} نقاط',
+        categoryPointsExceeded: '{label}: {score} من {max} نقاط، فوق مستوى القلق',
+        redFlagSymptoms: 'اطلب المساعدة الطارئة فورًا إذا لاحظت:',
+        quizRestarted: 'أُعيد بدء الاستبيان. البدء من السؤال 1.',
+        startingOver: 'البدء من السؤال 1.',
+        fhirDownloaded: 'تم تنزيل ملف FHIR.',
+        fhirFailed: 'عذرًا، تعذّر إنشاء ملف FHIR.',
+        unfinishedAssessment: 'تقييم غير مكتمل',
+        welcomeBack: 'مرحبًا بعودتك',
+        unfinishedFrom: 'لديك تقييم غير مكتمل من {date}.',
+        resumeSession: 'المتابعة من حيث توقفت',
+        startOver: 'البدء من جديد',
+        resumedAt: 'المتابعة عند {label}.',
+        reuseRecentAnswers: 'إعادة استخدام الإجابات الأخيرة',
+        useRecentHeading: 'هل تريد استخدام إجاباتك الأخيرة؟',
+        recentAnswers_one: 'لقد أجبت بالفعل عن سؤال واحد من هذه الأسئلة في {sources}. يمكننا تعبئته لك؛ الإجابات المعبأة مميزة ويمكنك تغيير أي منها.',
+        recentAnswers_two: 'لقد أجبت بالفعل عن سؤالين من هذه الأسئلة في {sources}. يمكننا تعبئتهما لك؛ الإجابات المعبأة مميزة ويمكنك تغيير أي منها.',
+        recentAnswers_few: 'لقد أجبت بالفعل عن {count} أسئلة من هذه الأسئلة في {sources}. يمكننا تعبئتها لك؛ الإجابات المعبأة مميزة ويمكنك تغيير أي منها.',
+        recentAnswers_other: 'لقد أجبت بالفعل عن {count} سؤالًا من هذه الأسئلة في {sources}. يمكننا تعبئتها لك؛ الإجابات المعبأة مميزة ويمكنك تغيير أي منها.',
+        recentSource: '{tool} بتاريخ {date}',
+        useRecentAnswers: 'استخدام إجاباتي الأخيرة',
+        answerFromScratch: 'الإجابة من البداية',
+        recentFilled_one: 'تمت تعبئة إجابة واحدة. البدء من السؤال 1.',
+        recentFilled_two: 'تمت تعبئة إجابتين. البدء من السؤال 1.',
+        recentFilled_few: 'تمت تعبئة {count} إجابات. البدء من السؤال 1.',
+        recentFilled_other: 'تمت تعبئة {count} إجابة. البدء من السؤال 1.',
+        prefillNotice_one: 'تمت تعبئة إجابة واحدة من الأسئلة التي أجبت عنها في الصفحة الرئيسية. يرجى مراجعتها أثناء التقدم.',
+        prefillNotice_two: 'تمت تعبئة إجابتين من الأسئلة التي أجبت عنها في الصفحة الرئيسية. يرجى مراجعتهما أثناء التقدم.',
+        prefillNotice_few: 'تمت تعبئة {count} إجابات من الأسئلة التي أجبت عنها في الصفحة الرئيسية. يرجى مراجعتها أثناء التقدم.',
+        prefillNotice_other: 'تمت تعبئة {count} إجابة من الأسئلة التي أجبت عنها في الصفحة الرئيسية. يرجى مراجعتها أثناء التقدم.',
+        shareDamaged: 'رابط النتائج المشترك هذا غير مكتمل أو تالف، لذا لا يمكن عرض النتائج. يمكنك إجراء التقييم أدناه.',
+        shareVersionMismatch: 'أُنشئ هذا الرابط بإصدار مختلف من هذا التقييم ({version}؛ الإصدار الحالي {current}). تغيّرت الأسئلة أو طريقة الاحتساب منذ ذلك الحين، لذا قد لا تطابق هذه النتائج ما عُرض في الأصل. ننصحك بإجراء التقييم مرة أخرى.',
+        versionUnknown: 'غير معروف',
+        sharePartial: 'تعذّرت قراءة بعض الإجابات في هذا الرابط، لذا قد تكون هذه النتائج غير مكتملة.',
+        sharedViewing: 'أنت تشاهد نتائج مفتوحة من رابط مشترك.',
+        sharedAnnouncement: 'عرض النتائج المشتركة. نتيجتك: {level}. الدرجة: {score}.',
+        shareCopied: 'تم نسخ رابط المشاركة.',
+        copySharePrompt: 'انسخ هذا الرابط لمشاركة نتائجك:',
+        emergencyHeading: '⚠️ قد تكون هذه حالة طبية طارئة',
+        emergencyAdvice: 'أوقف التقييم واتصل بالرقم {number} أو توجّه إلى أقرب قسم طوارئ الآن.',
+        emergencyCall: '📞 اتصل بالرقم {number}',
+        emergencyOtherNumbers: 'يمكنك أيضًا الاتصال بالرقم {numbers}.',
+        emergencyContinue: 'متابعة التقييم على أي حال',
+        needHelpNow: 'هل تحتاج إلى مساعدة الآن؟',
+        crisisIntro: 'إذا كنت تمر بوقت صعب أو تفكر في إيذاء نفسك، يمكنك التحدث إلى شخص ما الآن. هذه الخدمات مجانية وسرية.',
+        crisisCountry: 'البلد',
+        crisisOtherCountry: 'بلد آخر',
+        crisisCall: 'اتصل بالرقم {number}',
+        crisisText: 'أرسل رسالة نصية إلى {number}',
+        crisisTextKeyword: 'أرسل {keyword} في رسالة نصية إلى {number}',
+        crisisEmergency: 'خدمات الطوارئ',
+        crisisNoDirectory: 'لا تتوفر لدينا خطوط مساعدة لبلدك بعد. اتصل برقم الطوارئ المحلي، أو ابحث عن خط مساعدة على <a href="https://findahelpline.com" rel="noopener">findahelpline.com</a>.',
+        crisisOngoing: 'دعم مستمر',
+        close: 'إغلاق',
+        consentHeading: 'خيارات الخصوصية',
+        consentIntro: 'نستخدم ما يلزم لتشغيل الموقع. وبإذنك نود أيضًا قياس طريقة استخدام الموقع وتسجيل جلسات مجهولة الهوية لتحسينه. لا تتم مشاركة إجاباتك في التقييمات أبدًا.',
+        consentAcceptAll: 'قبول الكل',
+        consentRejectAll: 'رفض الكل',
+        consentCustomize: 'اختيار',
+        consentPreferences: 'تفضيلات الخصوصية',
+        consentSave: 'حفظ الخيارات',
+        consentGpc: 'يرسل متصفحك إشارة التحكم العالمي في الخصوصية، لذلك تبقى التحليلات وتسجيل الجلسات متوقفة.',
+        consentNecessary: 'ضرورية',
+        consentNecessaryDescription: 'تُحفظ على هذا الجهاز فقط: لغتك وتقييماتك المحفوظة وهذه الخيارات. مفعّلة دائمًا.',
+        consentAnalytics: 'التحليلات',
+        consentAnalyticsDescription: 'يحسب Google Analytics وGoogle Tag Manager وخادم الإحصاءات الخاص بنا الزيارات والأدوات المستخدمة.',
+        consentSessionRecording: 'تسجيل الجلسات',
+        consentSessionRecordingDescription: 'يسجل Hotjar النقرات والتمرير في صفحاتنا حتى نجد ما يصعب استخدامه. ولا يعمل أبدًا في أدوات فحص الأعراض.',
+        updateAvailable: 'يتوفر إصدار جديد من HealthCheckPro.',
+        reportCompleted: 'اكتمل في {date}',
+        reportBasedOn: 'استنادًا إلى: {source}',
+        reportTotalScore: 'المجموع الكلي',
+        reportResult: 'النتيجة',
+        reportWarningSigns: 'علامات التحذير المذكورة',
+        reportAnswers: 'الإجابات',
+        reportQuestion: 'السؤال',
+        reportAnswer: 'الإجابة',
+        reportPoints: 'النقاط',
+        reportCategories: 'النقاط حسب الفئة',
+        reportAboveConcern: '(فوق مستوى القلق)',
+        reportRecommendations: 'التوصيات',
+        reportNotes: 'ملاحظات لموعدي',
+        reportDisclaimer: 'هذا التقرير لأغراض إعلامية فقط وليس تشخيصًا طبيًا.',
+        reportGenerated: 'أُنشئ على هذا الجهاز بواسطة HealthCheckPro.',
+        reportGeneratedVersion: 'أُنشئ على هذا الجهاز بواسطة HealthCheckPro (إصدار التقييم {version}).',
+        historyHeading: 'سجل تقييماتك',
+        historyIntro: 'تابع كيف تتغير نتائجك مع الوقت. يُحفظ سجلك في هذا المتصفح فقط ولا يُرسل إلى خوادمنا أبدًا.',
+        historyStoredLocally: '🔒 محفوظ على هذا الجهاز فقط',
+        historyScoresOverTime: '📈 النتائج عبر الوقت',
+        historyLoading: 'جارٍ تحميل سجلك...',
+        historyLoadError: 'تعذّر تحميل سجلك. قد يمنع التصفح الخاص التخزين على الجهاز.',
+        historyAssessments_one: 'تقييم محفوظ واحد',
+        historyAssessments_two: 'تقييمان محفوظان',
+        historyAssessments_other: '{count} تقييمات محفوظة',
+        historyTools_one: 'أداة واحدة',
+        historyTools_two: 'أداتين',
+        historyTools_other: '{count} أدوات',
+        historySummary: '{assessments} في {tools}.',
+        historyTakeAgain: 'إعادة التقييم',
+        historyDate: 'التاريخ',
+        historyScore: 'النتيجة',
+        historyResult: 'المستوى',
+        historyActions: 'الإجراءات',
+        historyDelete: 'حذف',
+        historyDeleteEntry: 'حذف تقييم {date}',
+        historyChartLabel: 'النتائج عبر الوقت. {summary}',
+        historyConfirmDelete: 'هل تريد حذف هذا التقييم من سجلك؟',
+        historyDeleted: 'تم حذف التقييم.',
+        historyDeleteAll: 'حذف السجل كله',
+        historyConfirmDeleteAll: 'هل تريد حذف كل التقييمات المحفوظة على هذا الجهاز؟ لا يمكن التراجع عن ذلك.',
+        historyAllDeleted: 'تم حذف سجل التقييمات كله.',
+        historyEmptyHeading: 'لا توجد تقييمات بعد',
+        historyEmptyText: 'عندما تُكمل أحد أدوات فحص الأعراض، تُحفظ نتيجتك هنا لتقارنها في المرة القادمة.',
+        historyChooseChecker: 'اختر أداة لفحص الأعراض',
+        historyDisclaimerHeading: '⚠️ تنبيه طبي مهم',
+        historyDisclaimer: 'تطور النتائج لمعلوماتك فقط ولا يغني عن التقييم الطبي المتخصص. إذا ساءت أعراضك أو كنت قلقًا على صحتك، فتواصل مع مقدم الرعاية الصحية.',
+        profileHeading: 'بعض المعلومات عنك',
+        profileIntro: 'قد يغيّر العمر والجنس والحمل الأعراض التي تُعدّ عاجلة. هذه المعلومات اختيارية وتُحفظ على هذا الجهاز فقط، ولا تُرسل إلى أي مكان.',
+        profile_age: 'العمر',
+        profileYears: 'سنة',
+        profile_sex: 'الجنس',
+        sex_female: 'أنثى',
+        sex_male: 'ذكر',
+        sex_unspecified: 'أفضّل عدم الإجابة',
+        profile_pregnant: 'هل أنتِ حامل؟',
+        pregnant_yes: 'نعم',
+        pregnant_no: 'لا',
+        pregnant_unsure: 'لست متأكدة',
+        profileContinue: 'متابعة',
+        profileSkip: 'تخطي هذه الخطوة',
+        profileForget: 'حذف المعلومات المحفوظة',
+        profileForgotten: 'تم حذف معلوماتك المحفوظة من هذا الجهاز.',
+        profileAgeError: 'أدخل العمر بالسنوات الكاملة بين {min} و{max}، أو اتركه فارغًا.',
+        languageChanged: 'تم تغيير اللغة إلى {language}.',
+        loadError: 'تعذّر تحميل الأسئلة. يرجى تحديث الصفحة.',
+        errorHeading: '❌ خطأ',
+        reloadPage: 'إعادة تحميل الصفحة'
+    }
+};
+
+// Export for global access
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+} else {
+    window.I18n = I18n;
+}
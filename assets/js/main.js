@@ -134,24 +134,11 @@
     /**
      * Privacy-friendly event tracking
      */
-    function trackEvent(eventName, data) {
-        // Store locally without sending to external services
-        try {
-            const events = JSON.parse(localStorage.getItem('healthcheckpro_events') || '[]');
-            events.push({
-                event: eventName,
-                data: data,
-                timestamp: new Date().toISOString()
-            });
-            
-            // Keep only last 100 events
-            if (events.length > 100) {
-                events.splice(0, events.length - 100);
-            }
-            
-            localStorage.setItem('healthcheckpro_events', JSON.stringify(events));
-        } catch (e) {
-            console.log('Event tracking disabled - localStorage not available');
+    function trackEvent(eventName, data, options) {
+        // Through the event bus like everything else; outbound sinks only get
+        // what TelemetryScrubber lets through
+        if (window.healthEvents) {
+            window.healthEvents.emit(eventName, data, options);
         }
     }
 
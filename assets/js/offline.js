@@ -0,0 +1,104 @@
+/**
+ * HealthCheckPro - Offline Support
+ * Registers sw.js and, when a new version of the site has been downloaded
+ * in the background, offers to reload into it. The new version only takes
+ * over when the visitor agrees, so a quiz in progress is never swapped
+ * out from under them.
+ */
+
+class OfflineSupport {
+    constructor(scriptUrl = '/sw.js', i18n) {
+        this.scriptUrl = scriptUrl;
+        this.i18n = i18n || null;
+        this.reloading = false;
+    }
+
+    register() {
+        if (!('serviceWorker' in navigator)) return Promise.resolve(null);
+
+        // updateViaCache: 'none' so the browser sees a new precache manifest straight away
+        return navigator.serviceWorker.register(this.scriptUrl, { updateViaCache: 'none' })
+            .then(registration => {
+                this.watch(registration);
+                return registration;
+            })
+            .catch(error => {
+                console.log('ServiceWorker registration failed: ', error);
+                return null;
+            });
+    }
+
+    watch(registration) {
+        // A version downloaded on an earlier visit may already be waiting
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.showUpdatePrompt(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                // The first install has nothing to replace, so it doesn't ask
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.showUpdatePrompt(worker);
+                }
+            });
+        });
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.reloading) window.location.reload();
+        });
+    }
+
+    update(worker) {
+        this.reloading = true;
+
+        // Another tab may have accepted the update already
+        if (worker.state === 'activated') {
+            window.location.reload();
+            return;
+        }
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    }
+
+    t(key) {
+        if (!this.i18n && window.I18n) {
+            this.i18n = new window.I18n(document.documentElement.lang || window.I18n.defaultLocale);
+        }
+        return this.i18n ? this.i18n.t(key) : key;
+    }
+
+    showUpdatePrompt(worker) {
+        if (document.querySelector('.update-prompt')) return;
+
+        const prompt = document.createElement('div');
+        prompt.className = 'update-prompt';
+        prompt.setAttribute('role', 'status');
+        prompt.innerHTML = `
+            <p>${this.t('updateAvailable')}</p>
+            <button type="button" class="btn-primary update-reload">${this.t('reloadPage')}</button>
+            <button type="button" class="update-dismiss" aria-label="${this.t('close')}">×</button>
+        `;
+
+        prompt.querySelector('.update-reload').addEventListener('click', (e) => {
+            e.target.disabled = true;
+            this.update(worker);
+        });
+        prompt.querySelector('.update-dismiss').addEventListener('click', () => prompt.remove());
+
+        document.body.appendChild(prompt);
+    }
+}
+
+// Export for global access
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineSupport;
+} else {
+    window.OfflineSupport = OfflineSupport;
+    window.healthOffline = new OfflineSupport();
+
+    window.addEventListener('load', function() {
+        window.healthOffline.register();
+    });
+}
@@ -0,0 +1,135 @@
+/**
+ * HealthCheckPro - Question Markup Renderer
+ * Turns a quiz-data.json question into the .question markup the engine
+ * drives. Used by scripts/build-tool-pages.js to write each tool page and
+ * by SymptomChecker for questions that are not in the page.
+ */
+
+class QuizRenderer {
+    /**
+     * strings overrides the English labels, e.g. from I18n
+     */
+    constructor(strings = {}) {
+        this.strings = Object.assign({
+            selectAll: 'Select all that apply',
+            unit: 'Unit',
+            scaleMin: 'Not at all',
+            scaleMax: 'Extremely',
+            hours: 'hours',
+            days: 'days',
+            weeks: 'weeks'
+        }, strings);
+    }
+
+    /**
+     * Markup for one question; label is the "Question 1 of 8" text
+     */
+    renderQuestion(question, index, label, isActive) {
+        const lines = [
+            `<div class="question${isActive ? ' active' : ''}" data-question="${index + 1}">`,
+            `    <span class="question-number">${this.escape(label)}</span>`,
+            `    <h2>${this.escape(question.question)}</h2>`
+        ];
+
+        if (question.description) {
+            lines.push(`    <p class="question-description">${this.escape(question.description)}</p>`);
+        }
+
+        this.renderAnswers(question, index).forEach(line => lines.push(`    ${line}`));
+        lines.push('</div>');
+
+        return lines.join('\n');
+    }
+
+    renderAnswers(question, index) {
+        if (question.type === 'scale') {
+            // One label per point when every option has its own text
+            const labels = question.options.every(option => option.text)
+                ? question.options.map(option => option.text)
+                : [(question.scaleLabels && question.scaleLabels.min) || this.strings.scaleMin, (question.scaleLabels && question.scaleLabels.max) || this.strings.scaleMax];
+
+            return [
+                '<div class="scale-options">',
+                ...question.options.map(option => `    <button class="scale-btn" data-value="${this.escape(option.value)}" data-weight="${option.weight}">${this.escape(option.value)}</button>`),
+                '</div>',
+                '<div class="scale-labels">',
+                ...labels.map(text => `    <span>${this.escape(text)}</span>`),
+                '</div>'
+            ];
+        }
+
+        if (['number', 'temperature', 'duration'].includes(question.type)) {
+            return this.renderNumericInput(question, index);
+        }
+
+        const isMulti = question.type === 'multi-choice';
+        const lines = [isMulti
+            ? `<div class="answer-options multi-choice" role="group" aria-label="${this.escape(this.strings.selectAll)}">`
+            : '<div class="answer-options">'];
+
+        question.options.forEach(option => {
+            const attributes = `data-value="${this.escape(option.value)}" data-weight="${option.weight}"${option.exclusive ? ' data-exclusive="true"' : ''}${isMulti ? ' aria-pressed="false"' : ''}`;
+            lines.push(
+                `    <button class="answer-btn" ${attributes}>`,
+                `        <span class="icon">${option.icon || (isMulti ? '☐' : '○')}</span>`,
+                `        <span class="text">${this.escape(option.text)}</span>`,
+                '    </button>'
+            );
+        });
+
+        lines.push('</div>');
+        if (isMulti) {
+            lines.push(`<p class="multi-choice-hint">${this.escape(this.strings.selectAll)}</p>`);
+        }
+
+        return lines;
+    }
+
+    renderNumericInput(question, index) {
+        const units = this.getUnitOptions(question);
+        const defaultUnit = question.defaultUnit || (units[0] && units[0].value);
+        const limits = units.length ? '' : `${question.min !== undefined ? ` min="${question.min}"` : ''}${question.max !== undefined ? ` max="${question.max}"` : ''}`;
+        const lines = [
+            '<div class="numeric-input">',
+            `    <input type="number" class="numeric-answer" id="numeric-answer-${index + 1}" step="${question.step || 'any'}" inputmode="decimal"${limits} aria-label="${this.escape(question.question)}">`
+        ];
+
+        if (units.length) {
+            lines.push(
+                `    <select class="numeric-unit" aria-label="${this.escape(this.strings.unit)}">`,
+                ...units.map(unit => `        <option value="${unit.value}"${unit.value === defaultUnit ? ' selected' : ''}>${unit.label}</option>`),
+                '    </select>'
+            );
+        } else {
+            lines.push(`    <span class="numeric-unit-label">${this.escape(question.unit || '')}</span>`);
+        }
+
+        lines.push('</div>', '<p class="numeric-error" role="alert" hidden></p>');
+        return lines;
+    }
+
+    getUnitOptions(question) {
+        if (question.type === 'temperature') {
+            return [{ value: 'C', label: '°C' }, { value: 'F', label: '°F' }];
+        }
+        if (question.type === 'duration') {
+            return (question.units || ['hours', 'days', 'weeks']).map(unit => ({ value: unit, label: this.strings[unit] || unit }));
+        }
+        return [];
+    }
+
+    escape(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Export for global access
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuizRenderer;
+} else {
+    window.QuizRenderer = QuizRenderer;
+}
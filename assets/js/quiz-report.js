@@ -0,0 +1,199 @@
+/**
+ * HealthCheckPro - Printable Results Report
+ * Builds a print-optimized summary of a completed assessment for doctor
+ * visits. The report is generated and printed in the browser, so answers
+ * never leave the device; "Save as PDF" in the print dialog gives a file.
+ */
+
+class QuizReport {
+    /**
+     * Render the report as a standalone HTML document from
+     * SymptomChecker.exportResults() and the tool's quiz data, in the
+     * language of the given I18n (the one the quiz was taken in).
+     */
+    build(results, quizData, i18n) {
+        i18n = i18n || new I18n(document.documentElement.lang || I18n.defaultLocale);
+        const t = (key, params) => i18n.t(key, params);
+        const band = quizData.scoring.find(b => b.key === results.level) || {};
+        const metadata = quizData.metadata || {};
+        const basedOn = metadata.basedOn || quizData.basedOn;
+        const completedAt = new Date(results.completedAt);
+        const redFlags = (quizData.redFlags || []).filter(flag => results.redFlags.includes(flag.id));
+        // The quiz data's own disclaimer is only written in English
+        const disclaimer = metadata.disclaimer && i18n.locale === I18n.defaultLocale
+            ? this.escape(metadata.disclaimer)
+            : t('reportDisclaimer');
+
+        const rows = quizData.questions.map((question, index) => {
+            if (!results.answers.hasOwnProperty(index)) return '';
+
+            const answer = results.answers[index];
+            const text = Array.isArray(answer.text) ? answer.text.join(', ') : answer.text;
+
+            return `
+                <tr>
+                    <td class="number">${index + 1}</td>
+                    <td>${this.escape(question.question)}</td>
+                    <td>${this.escape(text)}</td>
+                    <td class="number">${answer.weight}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `<!DOCTYPE html>
+<html lang="${i18n.locale}" dir="${i18n.dir}">
+<head>
+    <meta charset="UTF-8">
+    <title>${this.escape(quizData.title)} - ${this.formatDate(completedAt, false, i18n.locale)}</title>
+    <style>${this.getStyles()}</style>
+</head>
+<body>
+    <header>
+        <p class="brand">HealthCheckPro</p>
+        <h1>${this.escape(quizData.title)}</h1>
+        <p class="meta">${t('reportCompleted', { date: this.formatDate(completedAt, true, i18n.locale) })}${quizData.timeframe ? ` &middot; ${this.escape(quizData.timeframe)}` : ''}</p>
+        ${basedOn ? `<p class="meta">${t('reportBasedOn', { source: this.escape(basedOn) })}</p>` : ''}
+    </header>
+
+    <section class="summary" style="border-color: ${band.color || '#333'}">
+        <div>
+            <p class="label">${t('reportTotalScore')}</p>
+            <p class="value">${results.score}${quizData.maxScore ? ` / ${quizData.maxScore}` : ''}</p>
+        </div>
+        <div>
+            <p class="label">${t('reportResult')}</p>
+            <p class="value">${this.escape(band.label || results.level)}</p>
+        </div>
+    </section>
+    ${band.description ? `<p>${this.escape(band.description)}</p>` : ''}
+
+    ${redFlags.length ? `
+        <section>
+            <h2>${t('reportWarningSigns')}</h2>
+            <ul>
+                ${redFlags.map(flag => `<li>${this.escape(flag.message || flag.id)}</li>`).join('')}
+            </ul>
+        </section>
+    ` : ''}
+
+    <section>
+        <h2>${t('reportAnswers')}</h2>
+        <table>
+            <thead>
+                <tr>
+                    <th class="number">#</th>
+                    <th>${t('reportQuestion')}</th>
+                    <th>${t('reportAnswer')}</th>
+                    <th class="number">${t('reportPoints')}</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    </section>
+
+    ${results.categories && results.categories.length > 1 ? `
+        <section>
+            <h2>${t('reportCategories')}</h2>
+            <table>
+                <tbody>
+                    ${results.categories.map(category => `
+                        <tr>
+                            <td>${this.escape(category.label)}${category.exceeded ? ` ${t('reportAboveConcern')}` : ''}</td>
+                            <td class="number">${category.score} / ${category.maxScore}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </section>
+    ` : ''}
+
+    ${results.recommendations && results.recommendations.length ? `
+        <section>
+            <h2>${t('reportRecommendations')}</h2>
+            <ul>
+                ${results.recommendations.map(rec => `<li>${this.escape(rec)}</li>`).join('')}
+            </ul>
+        </section>
+    ` : ''}
+
+    <section class="notes">
+        <h2>${t('reportNotes')}</h2>
+        <div class="lines"></div>
+    </section>
+
+    <footer>
+        <p>${disclaimer}</p>
+        <p>${quizData.version ? t('reportGeneratedVersion', { version: this.escape(quizData.version) }) : t('reportGenerated')}</p>
+    </footer>
+</body>
+</html>`;
+    }
+
+    /**
+     * Print the report from a hidden iframe so the page itself is untouched
+     */
+    print(results, quizData, i18n) {
+        if (!results) return;
+
+        const previous = document.getElementById('quiz-report-frame');
+        if (previous) previous.remove();
+
+        const frame = document.createElement('iframe');
+        frame.id = 'quiz-report-frame';
+        frame.setAttribute('aria-hidden', 'true');
+        frame.setAttribute('tabindex', '-1');
+        frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0; visibility: hidden;';
+        document.body.appendChild(frame);
+
+        const doc = frame.contentWindow.document;
+        doc.open();
+        doc.write(this.build(results, quizData, i18n));
+        doc.close();
+
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+    }
+
+    getStyles() {
+        return `
+            @page { margin: 18mm; }
+            body { font-family: Georgia, 'Times New Roman', serif; color: #000; font-size: 11pt; line-height: 1.45; margin: 0; }
+            header { border-bottom: 2px solid #000; padding-bottom: 8pt; margin-bottom: 12pt; }
+            .brand { font-family: Arial, sans-serif; font-size: 9pt; letter-spacing: 1px; text-transform: uppercase; margin: 0; }
+            h1 { font-size: 18pt; margin: 4pt 0; }
+            h2 { font-size: 13pt; margin: 16pt 0 6pt; border-bottom: 1px solid #999; padding-bottom: 2pt; }
+            .meta { margin: 2pt 0; color: #333; }
+            .summary { display: flex; gap: 32pt; border-left: 6pt solid; padding: 6pt 12pt; margin: 12pt 0; }
+            .summary p { margin: 0; }
+            .label { font-size: 9pt; text-transform: uppercase; color: #333; }
+            .value { font-size: 16pt; font-weight: bold; }
+            table { width: 100%; border-collapse: collapse; }
+            th, td { text-align: left; vertical-align: top; padding: 4pt 6pt; border-bottom: 1px solid #ccc; }
+            th { border-bottom: 1.5pt solid #000; }
+            tr { page-break-inside: avoid; }
+            .number { width: 1%; white-space: nowrap; text-align: right; }
+            .lines { height: 90pt; background: repeating-linear-gradient(transparent, transparent 21pt, #999 22pt); }
+            footer { margin-top: 18pt; padding-top: 6pt; border-top: 1px solid #999; font-size: 9pt; color: #333; }
+        `;
+    }
+
+    formatDate(date, withTime, locale) {
+        const options = { year: 'numeric', month: 'long', day: 'numeric' };
+        if (withTime) {
+            options.hour = 'numeric';
+            options.minute = '2-digit';
+        }
+        return date.toLocaleString(locale, options);
+    }
+
+    escape(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Export for global access
+window.QuizReport = new QuizReport();
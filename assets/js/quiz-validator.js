@@ -0,0 +1,523 @@
+/**
+ * HealthCheckPro - Quiz Data Validator
+ * Checks a tool's quiz-data.json against schemas/quiz-data.schema.json and
+ * the rules a schema can't express (unique ids, contiguous scoring bands,
+ * achievable maxScore, recommendations per level). Runs in the browser at
+ * load time and in Node via scripts/validate-quiz-data.js.
+ */
+
+class QuizValidator {
+    /**
+     * profileFields (HealthProfile.fields) lets conditions on profile
+     * answers be checked against the values the profile step offers
+     */
+    constructor(schema, profileFields) {
+        this.schema = schema || null;
+        this.profileFields = profileFields || null;
+    }
+
+    /**
+     * Returns a list of problems; an empty list means the data is valid
+     */
+    validate(quizData) {
+        const errors = [];
+
+        if (this.schema) {
+            this.checkSchema(quizData, this.schema, '', errors);
+        }
+
+        // Cross-field checks assume the basic shape is right
+        if (errors.length || !quizData || !Array.isArray(quizData.questions)) {
+            return errors;
+        }
+
+        this.checkQuestions(quizData, errors);
+        this.checkConditions(quizData, errors);
+        this.checkScoring(quizData, errors);
+        this.checkProfile(quizData, errors);
+        this.checkRecommendations(quizData, errors);
+        this.checkCategories(quizData, errors);
+
+        return errors;
+    }
+
+    // The subset of JSON Schema draft-07 used by quiz-data.schema.json
+    checkSchema(value, schema, path, errors) {
+        if (schema.$ref) {
+            schema = this.resolveRef(schema.$ref);
+        }
+
+        const where = path || '(root)';
+
+        if (schema.type && !this.matchesType(value, schema.type)) {
+            errors.push(`${where}: expected ${schema.type}`);
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${where}: must be one of ${schema.enum.join(', ')}`);
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push(`${where}: must not be empty`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push(`${where}: "${value}" does not match ${schema.pattern}`);
+            }
+        }
+
+        if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${where}: must be at least ${schema.minimum}`);
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(`${where}: needs at least ${schema.minItems} item(s)`);
+            }
+            if (schema.items) {
+                value.forEach((item, i) => this.checkSchema(item, schema.items, `${path}[${i}]`, errors));
+            }
+        }
+
+        if (this.matchesType(value, 'object')) {
+            (schema.required || []).forEach(key => {
+                if (!value.hasOwnProperty(key)) {
+                    errors.push(`${where}: missing required "${key}"`);
+                }
+            });
+
+            Object.keys(value).forEach(key => {
+                const childPath = path ? `${path}.${key}` : key;
+                if (schema.properties && schema.properties[key]) {
+                    this.checkSchema(value[key], schema.properties[key], childPath, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push(`${where}: unknown property "${key}"`);
+                } else if (typeof schema.additionalProperties === 'object') {
+                    this.checkSchema(value[key], schema.additionalProperties, childPath, errors);
+                }
+            });
+        }
+
+        if (schema.anyOf && !schema.anyOf.some(option => this.passes(value, option))) {
+            errors.push(`${where}: does not match any allowed form`);
+        }
+
+        if (schema.if) {
+            const branch = this.passes(value, schema.if) ? schema.then : schema.else;
+            if (branch) this.checkSchema(value, branch, path, errors);
+        }
+    }
+
+    passes(value, schema) {
+        const errors = [];
+        this.checkSchema(value, schema, '', errors);
+        return errors.length === 0;
+    }
+
+    matchesType(value, type) {
+        return [].concat(type).some(t => {
+            if (t === 'integer') return Number.isInteger(value);
+            if (t === 'array') return Array.isArray(value);
+            if (t === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+            return typeof value === t;
+        });
+    }
+
+    resolveRef(ref) {
+        // Only local refs such as "#/definitions/question"
+        return ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], this.schema);
+    }
+
+    checkQuestions(quizData, errors) {
+        const ids = new Set();
+        const concepts = new Set();
+
+        quizData.questions.forEach((question, index) => {
+            const where = `questions[${index}]`;
+
+            if (ids.has(question.id)) {
+                errors.push(`${where}: duplicate question id ${question.id}`);
+            }
+            ids.add(question.id);
+
+            const values = new Set();
+            (question.options || []).forEach(option => {
+                if (values.has(option.value)) {
+                    errors.push(`${where}: duplicate option value "${option.value}"`);
+                }
+                values.add(option.value);
+            });
+
+            this.checkConcept(question, where, concepts, errors);
+
+            if (question.bands) {
+                question.bands.forEach((band, i) => {
+                    const isLast = i === question.bands.length - 1;
+                    if (band.max === undefined && !isLast) {
+                        errors.push(`${where}: only the last band may leave out "max"`);
+                    }
+                    if (i > 0 && band.max !== undefined && question.bands[i - 1].max >= band.max) {
+                        errors.push(`${where}: bands must be in increasing order of "max"`);
+                    }
+                });
+            }
+        });
+
+        const flagIds = new Set();
+        (quizData.redFlags || []).forEach((flag, index) => {
+            if (flagIds.has(flag.id)) {
+                errors.push(`redFlags[${index}]: duplicate red flag id "${flag.id}"`);
+            }
+            flagIds.add(flag.id);
+        });
+    }
+
+    checkConcept(question, where, concepts, errors) {
+        const options = question.options || [];
+
+        if (!question.concept) {
+            if (options.some(option => option.conceptValue !== undefined)) {
+                errors.push(`${where}: "conceptValue" needs a "concept" on the question`);
+            }
+            return;
+        }
+
+        if (concepts.has(question.concept)) {
+            errors.push(`${where}: duplicate concept "${question.concept}"`);
+        }
+        concepts.add(question.concept);
+
+        // Answers are carried over by option, so only choice questions can share one
+        if (!question.options || question.bands) {
+            errors.push(`${where}: concept "${question.concept}" needs a question with options`);
+        }
+
+        const conceptValues = new Set();
+        options.forEach(option => {
+            const conceptValue = option.conceptValue || option.value;
+            if (conceptValues.has(conceptValue)) {
+                errors.push(`${where}: two options share the concept value "${conceptValue}"`);
+            }
+            conceptValues.add(conceptValue);
+        });
+    }
+
+    checkConditions(quizData, errors) {
+        quizData.questions.forEach((question, index) => {
+            if (question.showIf) {
+                // Branching may only look back at questions already asked
+                this.checkCondition(quizData, question.showIf, `questions[${index}].showIf`, index, errors);
+            }
+        });
+
+        (quizData.redFlags || []).forEach((flag, index) => {
+            this.checkCondition(quizData, flag, `redFlags[${index}]`, quizData.questions.length, errors);
+        });
+    }
+
+    checkCondition(quizData, condition, where, beforeIndex, errors) {
+        if (condition.all || condition.any) {
+            (condition.all || condition.any).forEach((part, i) => {
+                this.checkCondition(quizData, part, `${where}.${condition.all ? 'all' : 'any'}[${i}]`, beforeIndex, errors);
+            });
+            return;
+        }
+
+        // The profile step comes before every question
+        if (condition.profile !== undefined) {
+            this.checkProfileCondition(quizData, condition, where, errors);
+            return;
+        }
+
+        const targetIndex = quizData.questions.findIndex(q => q.id === condition.question);
+        if (targetIndex === -1) {
+            errors.push(`${where}: refers to unknown question ${condition.question}`);
+            return;
+        }
+        if (targetIndex >= beforeIndex) {
+            errors.push(`${where}: refers to question ${condition.question}, which is not asked before it`);
+        }
+
+        const target = quizData.questions[targetIndex];
+        const values = (target.options || []).map(option => option.value);
+        [].concat(condition.answers || [], condition.notAnswers || []).forEach(value => {
+            if (!values.includes(value)) {
+                errors.push(`${where}: question ${condition.question} has no option "${value}"`);
+            }
+        });
+    }
+
+    checkProfileCondition(quizData, condition, where, errors) {
+        const fields = (quizData.profile && quizData.profile.fields) || [];
+        if (!fields.includes(condition.profile)) {
+            errors.push(`${where}: profile field "${condition.profile}" is not in profile.fields`);
+        }
+
+        const field = this.profileFields && this.profileFields[condition.profile];
+        if (!field) return;
+
+        if (field.type === 'number') {
+            if (condition.answers || condition.notAnswers) {
+                errors.push(`${where}: profile field "${condition.profile}" is a number; use min/max`);
+            }
+            return;
+        }
+
+        if (condition.min !== undefined || condition.max !== undefined) {
+            errors.push(`${where}: profile field "${condition.profile}" is a choice; use answers/notAnswers`);
+        }
+        [].concat(condition.answers || [], condition.notAnswers || []).forEach(value => {
+            if (!field.options.includes(value)) {
+                errors.push(`${where}: profile field "${condition.profile}" has no option "${value}"`);
+            }
+        });
+    }
+
+    checkScoring(quizData, errors) {
+        const keys = this.checkBands(quizData, quizData.scoring, 'scoring', errors);
+
+        (quizData.redFlags || []).forEach((flag, index) => {
+            if (!keys.has(flag.level)) {
+                errors.push(`redFlags[${index}]: level "${flag.level}" is not a scoring band`);
+            }
+        });
+
+        ((quizData.crisisResources && quizData.crisisResources.levels) || []).forEach((level, index) => {
+            if (!keys.has(level)) {
+                errors.push(`crisisResources.levels[${index}]: "${level}" is not a scoring band`);
+            }
+        });
+    }
+
+    // Bands are ranked by position, so they must already be in score order
+    checkBands(quizData, bands, path, errors) {
+        const keys = new Set();
+
+        bands.forEach((band, i) => {
+            const where = `${path}[${i}] (${band.key})`;
+
+            if (keys.has(band.key)) {
+                errors.push(`${where}: duplicate band key "${band.key}"`);
+            }
+            keys.add(band.key);
+
+            if (band.min > band.max) {
+                errors.push(`${where}: min ${band.min} is above max ${band.max}`);
+            }
+
+            const previous = bands[i - 1];
+            if (!previous && band.min !== 0) {
+                errors.push(`${where}: the lowest band must start at 0`);
+            }
+            if (previous && band.min <= previous.max) {
+                errors.push(`${where}: overlaps "${previous.key}" or is out of order`);
+            }
+            if (previous && band.min > previous.max + 1) {
+                const gap = band.min - 1 === previous.max + 1 ? `score ${band.min - 1}` : `scores ${previous.max + 1}-${band.min - 1}`;
+                errors.push(`${path}: ${gap} falls between "${previous.key}" and "${band.key}"`);
+            }
+        });
+
+        if (path === 'scoring') {
+            const achievable = this.getAchievableMaxScore(quizData);
+            if (quizData.maxScore !== achievable) {
+                errors.push(`maxScore: is ${quizData.maxScore} but the highest achievable score is ${achievable}`);
+            }
+        }
+
+        const top = bands[bands.length - 1];
+        if (top && top.max !== quizData.maxScore) {
+            errors.push(`${path}[${bands.length - 1}] (${top.key}): max ${top.max} should equal maxScore ${quizData.maxScore}`);
+        }
+
+        return keys;
+    }
+
+    checkProfile(quizData, errors) {
+        if (!quizData.profile) return;
+
+        const fields = quizData.profile.fields;
+        fields.forEach((field, i) => {
+            if (fields.indexOf(field) !== i) {
+                errors.push(`profile.fields: "${field}" is listed twice`);
+            }
+        });
+
+        // Other thresholds for the same bands, picked by profile answers
+        const keys = quizData.scoring.map(band => band.key).join(', ');
+        const ids = new Set();
+        (quizData.profile.scoring || []).forEach((profile, index) => {
+            const where = `profile.scoring[${index}]`;
+
+            if (ids.has(profile.id)) {
+                errors.push(`${where}: duplicate id "${profile.id}"`);
+            }
+            ids.add(profile.id);
+
+            this.checkCondition(quizData, profile.when, `${where}.when`, quizData.questions.length, errors);
+
+            if (profile.bands.map(band => band.key).join(', ') !== keys) {
+                errors.push(`${where}.bands: must have the bands ${keys}, in that order`);
+                return;
+            }
+            this.checkBands(quizData, profile.bands, `${where}.bands`, errors);
+        });
+    }
+
+    checkRecommendations(quizData, errors) {
+        quizData.scoring.forEach(band => {
+            const recommendations = quizData.recommendations[band.key];
+            if (!Array.isArray(recommendations) || recommendations.length === 0) {
+                errors.push(`recommendations: no recommendations for level "${band.key}"`);
+            }
+        });
+    }
+
+    checkCategories(quizData, errors) {
+        Object.keys(quizData.categories || {}).forEach(key => {
+            const category = quizData.categories[key];
+            const questions = quizData.questions.filter(question => question.category === key);
+
+            if (questions.length === 0) {
+                errors.push(`categories.${key}: no question uses this category`);
+                return;
+            }
+
+            const maxScore = questions.reduce((sum, question) => sum + this.getMaxWeight(question), 0);
+            if (category.threshold !== undefined && category.threshold > maxScore) {
+                errors.push(`categories.${key}: threshold ${category.threshold} is above the category maximum of ${maxScore}`);
+            }
+            if (category.threshold !== undefined && !category.message) {
+                errors.push(`categories.${key}: a threshold needs a message to show when it is reached`);
+            }
+        });
+    }
+
+    getMaxWeight(question) {
+        return QuizValidator.getMaxWeight(question);
+    }
+
+    /**
+     * The highest total score someone can actually reach. Questions that
+     * others branch on are tried with each of their answers, and a question
+     * whose showIf can't hold alongside those answers doesn't count. Profile
+     * conditions are taken as met, since any profile can be entered.
+     */
+    getAchievableMaxScore(quizData) {
+        const questions = quizData.questions;
+        const leaves = {};
+        questions.forEach(question => {
+            QuizValidator.conditionLeaves(question.showIf).forEach(leaf => {
+                if (leaf.question !== undefined) (leaves[leaf.question] = leaves[leaf.question] || []).push(leaf);
+            });
+        });
+
+        const best = (index, answers) => {
+            if (index === questions.length) return 0;
+
+            const question = questions[index];
+            if (question.showIf && !QuizValidator.matchesCondition(question.showIf, answers)) {
+                return best(index + 1, answers);
+            }
+            if (!leaves[question.id]) {
+                return this.getMaxWeight(question) + best(index + 1, answers);
+            }
+
+            return Math.max(...this.getAnswerChoices(question, leaves[question.id]).map(choice => {
+                return choice.weight + best(index + 1, Object.assign({}, answers, { [question.id]: choice }));
+            }));
+        };
+
+        return best(0, {});
+    }
+
+    // One answer for each outcome that can matter to a condition on this question
+    getAnswerChoices(question, leaves) {
+        if (question.bands) {
+            const bands = question.bands;
+            const values = bands.filter(band => band.max !== undefined).map(band => band.max);
+            const last = bands[bands.length - 1];
+            if (last.max === undefined) values.push(bands.length > 1 ? bands[bands.length - 2].max + 1 : 0);
+            leaves.forEach(leaf => {
+                if (leaf.min !== undefined) values.push(leaf.min);
+                if (leaf.max !== undefined) values.push(leaf.max);
+            });
+
+            return values.map(value => ({
+                value: value,
+                weight: bands.find(band => band.max === undefined || value <= band.max).weight
+            }));
+        }
+
+        const choices = question.options.map(option => ({
+            value: question.type === 'multi-choice' ? [option.value] : option.value,
+            weight: option.weight
+        }));
+        if (question.type === 'multi-choice') {
+            const combined = question.options.filter(option => !option.exclusive);
+            choices.push({ value: combined.map(option => option.value), weight: this.getMaxWeight(question) });
+        }
+        return choices;
+    }
+
+    /**
+     * The most one question can add to the score. The quiz engine uses this
+     * too, for category maximums.
+     */
+    static getMaxWeight(question) {
+        if (question.bands) {
+            return Math.max(...question.bands.map(band => band.weight));
+        }
+
+        const weights = (question.options || []).map(option => option.weight);
+
+        if (question.type === 'multi-choice') {
+            // Exclusive options can't be combined, so the best case is either
+            // all the others together or the highest single option on its own
+            const combined = question.options
+                .filter(option => !option.exclusive)
+                .reduce((sum, option) => sum + Math.max(0, option.weight), 0);
+            const best = Math.max(combined, ...weights);
+            return question.maxWeight !== undefined ? Math.min(best, question.maxWeight) : best;
+        }
+
+        return Math.max(...weights);
+    }
+
+    static conditionLeaves(condition) {
+        if (!condition) return [];
+        if (condition.all || condition.any) {
+            return (condition.all || condition.any).flatMap(part => QuizValidator.conditionLeaves(part));
+        }
+        return [condition];
+    }
+
+    // The same test as SymptomChecker.matchesCondition, against answers keyed by question id
+    static matchesCondition(condition, answers) {
+        if (condition.all) return condition.all.every(part => QuizValidator.matchesCondition(part, answers));
+        if (condition.any) return condition.any.some(part => QuizValidator.matchesCondition(part, answers));
+        if (condition.profile !== undefined) return true;
+
+        const answer = answers[condition.question];
+        if (!answer) return false;
+
+        if (condition.min !== undefined || condition.max !== undefined) {
+            return (condition.min === undefined || answer.value >= condition.min) &&
+                (condition.max === undefined || answer.value <= condition.max);
+        }
+
+        const values = [].concat(answer.value);
+        if (condition.notAnswers) {
+            return !values.some(value => condition.notAnswers.includes(value));
+        }
+        return !condition.answers || values.some(value => condition.answers.includes(value));
+    }
+}
+
+// Export for global access
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuizValidator;
+} else {
+    window.QuizValidator = QuizValidator;
+}
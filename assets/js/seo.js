@@ -6,7 +6,6 @@ document.addEventListener('DOMContentLoaded', function() {
     implementLazyLoading();
     optimizeImages();
     setupServiceWorker();
-    initializeAnalytics();
     setupCriticalResourceHints();
     implementA11yEnhancements();
 });
@@ -130,6 +129,9 @@ function optimizeImages() {
 }
 
 function setupServiceWorker() {
+    // offline.js registers it and handles updates when the page loads it
+    if (window.OfflineSupport) return;
+    
     // Register service worker for caching
     if ('serviceWorker' in navigator) {
         window.addEventListener('load', () => {
@@ -144,59 +146,6 @@ function setupServiceWorker() {
     }
 }
 
-function initializeAnalytics() {
-    // Google Analytics 4 with enhanced e-commerce
-    window.dataLayer = window.dataLayer || [];
-    function gtag(){dataLayer.push(arguments);}
-    gtag('js', new Date());
-    gtag('config', 'GA_MEASUREMENT_ID', {
-        page_title: document.title,
-        page_location: window.location.href,
-        content_group1: getContentGroup(),
-        custom_map: {
-            custom_parameter_1: 'tool_usage',
-            custom_parameter_2: 'health_category'
-        }
-    });
-    
-    // Load GA4 script
-    const gaScript = document.createElement('script');
-    gaScript.async = true;
-    gaScript.src = 'https://www.googletagmanager.com/gtag/js?id=GA_MEASUREMENT_ID';
-    document.head.appendChild(gaScript);
-    
-    // Track Core Web Vitals
-    trackCoreWebVitals();
-}
-
-function getContentGroup() {
-    const path = window.location.pathname;
-    if (path.includes('/tools/')) return 'Symptom Checkers';
-    if (path.includes('/blog/')) return 'Health Blog';
-    if (path === '/') return 'Homepage';
-    return 'Other';
-}
-
-function trackCoreWebVitals() {
-    // Import web-vitals library dynamically
-    import('https://unpkg.com/web-vitals@3/dist/web-vitals.js').then(({onCLS, onFID, onFCP, onLCP, onTTFB}) => {
-        onCLS(sendToAnalytics);
-        onFID(sendToAnalytics);
-        onFCP(sendToAnalytics);
-        onLCP(sendToAnalytics);
-        onTTFB(sendToAnalytics);
-    });
-}
-
-function sendToAnalytics({name, delta, rating, value}) {
-    gtag('event', name, {
-        event_category: 'Web Vitals',
-        event_label: rating,
-        value: Math.round(name === 'CLS' ? delta * 1000 : delta),
-        non_interaction: true,
-    });
-}
-
 function setupCriticalResourceHints() {
     // Add critical resource hints
     const resourceHints = [
@@ -357,39 +306,3 @@ function announceToScreenReader(message, type = 'polite') {
         }, 1000);
     }
 }
-
-// Performance monitoring
-function monitorPerformance() {
-    // Monitor long tasks
-    if ('PerformanceObserver' in window) {
-        const observer = new PerformanceObserver((list) => {
-            for (const entry of list.getEntries()) {
-                if (entry.duration > 50) {
-                    gtag('event', 'long_task', {
-                        event_category: 'Performance',
-                        event_label: 'Long Task',
-                        value: Math.round(entry.duration),
-                        non_interaction: true
-                    });
-                }
-            }
-        });
-        observer.observe({entryTypes: ['longtask']});
-    }
-    
-    // Monitor resource loading
-    window.addEventListener('load', () => {
-        const navigation = performance.getEntriesByType('navigation')[0];
-        const loadTime = navigation.loadEventEnd - navigation.loadEventStart;
-        
-        gtag('event', 'page_load_time', {
-            event_category: 'Performance',
-            event_label: 'Page Load',
-            value: Math.round(loadTime),
-            non_interaction: true
-        });
-    });
-}
-
-// Initialize performance monitoring
-monitorPerformance();
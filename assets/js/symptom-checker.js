@@ -7,10 +7,23 @@ class SymptomChecker {
     constructor(toolName) {
         this.toolName = toolName;
         this.quizData = null;
+        this.baseQuizData = null;
+        this.i18n = new I18n(I18n.defaultLocale);
+        this.renderer = new QuizRenderer(this.i18n.strings);
+        this.renderedLocale = document.documentElement.lang || I18n.defaultLocale;
+        this.profile = new HealthProfile();
+        this.profileValues = {};
+        this.sharedProfileConditions = null;
         this.currentQuestion = 0;
         this.answers = {};
+        this.history = [];
         this.totalScore = 0;
         this.isQuizCompleted = false;
+        this.interruptedFlags = new Set();
+        this.run = null;
+        this.sessionKey = `healthcheckpro_session_${toolName}`;
+        this.sessionTtlHours = 24;
+        this.conceptMaxAgeDays = 7;
         
         this.init();
     }
@@ -18,13 +31,31 @@ class SymptomChecker {
     async init() {
         try {
             await this.loadQuizData();
+            await this.loadLocale(I18n.detectLocale(this.getLocales()));
             this.setupEventListeners();
-            this.showQuestion(0);
+            this.setupLanguageSwitcher();
+            this.applyLocale();
+
+            // A shared results link opens straight on its results, and a link
+            // from the homepage triage starts over with its answers filled in
+            if (!this.loadSharedResults()) {
+                const prefilled = this.loadPrefill();
+                const session = prefilled ? null : this.loadSession();
+                const recent = prefilled || session ? null : await this.findRecentConceptAnswers();
+                if (session) {
+                    this.showResumePrompt(session);
+                } else if (recent) {
+                    this.showConceptPrompt(recent);
+                } else {
+                    this.startQuiz();
+                }
+            }
+
             this.updateProgress();
             console.log(`${this.toolName} quiz initialized`);
         } catch (error) {
             console.error('Quiz initialization failed:', error);
-            this.showError('Failed to load quiz data. Please refresh the page.');
+            this.showError(this.i18n.t('loadError'));
         }
     }
 
@@ -40,12 +71,152 @@ class SymptomChecker {
             if (!this.quizData || !this.quizData.questions || this.quizData.questions.length === 0) {
                 throw new Error('Invalid quiz data structure');
             }
+
+            if (window.QuizValidator) {
+                const validator = new window.QuizValidator(await this.loadSchema(), window.HealthProfile && window.HealthProfile.fields);
+                const errors = validator.validate(this.quizData);
+                if (errors.length) {
+                    console.error(`Quiz data for ${this.toolName} is invalid:\n${errors.join('\n')}`);
+                    throw new Error('Invalid quiz data structure');
+                }
+            }
+
+            this.baseQuizData = this.quizData;
         } catch (error) {
             console.error('Error loading quiz data:', error);
             throw error;
         }
     }
 
+    getLocales() {
+        return (this.baseQuizData.metadata && this.baseQuizData.metadata.locales) || [I18n.defaultLocale];
+    }
+
+    async loadLocale(locale) {
+        let quizData = this.baseQuizData;
+
+        if (locale !== I18n.defaultLocale) {
+            try {
+                const response = await fetch(`./quiz-data.${locale}.json`);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                const translation = await response.json();
+
+                // An out-of-date translation could describe questions that have
+                // since changed, so the English data is safer than a mismatch
+                if (translation.version !== this.baseQuizData.version) {
+                    throw new Error(`translation is for version ${translation.version}, quiz data is ${this.baseQuizData.version}`);
+                }
+
+                quizData = I18n.localizeQuizData(this.baseQuizData, translation);
+                if (window.QuizValidator) {
+                    const errors = new window.QuizValidator(await this.loadSchema(), window.HealthProfile && window.HealthProfile.fields).validate(quizData);
+                    if (errors.length) {
+                        throw new Error(errors.join('\n'));
+                    }
+                }
+            } catch (error) {
+                console.warn(`Falling back to English for ${this.toolName}; the ${locale} translation could not be used:`, error);
+                return false;
+            }
+        }
+
+        this.quizData = quizData;
+        this.i18n = new I18n(locale);
+        this.renderer = new QuizRenderer(this.i18n.strings);
+        return true;
+    }
+
+    setupLanguageSwitcher() {
+        const switcher = document.querySelector('.language-switcher');
+        const locales = this.getLocales();
+        if (!switcher || locales.length < 2) return;
+
+        const select = switcher.querySelector('select');
+        select.innerHTML = locales
+            .map(locale => `<option value="${locale}" lang="${locale}">${I18n.languageNames[locale] || locale}</option>`)
+            .join('');
+        select.value = this.i18n.locale;
+        switcher.hidden = false;
+
+        select.addEventListener('change', () => this.changeLocale(select.value));
+    }
+
+    async changeLocale(locale) {
+        const select = document.querySelector('.language-switcher select');
+
+        if (!await this.loadLocale(locale)) {
+            if (select) select.value = this.i18n.locale;
+            return;
+        }
+
+        I18n.savePreferredLocale(locale);
+        this.applyLocale();
+        this.localizeAnswers();
+
+        const profileForm = document.querySelector('.profile-form');
+        if (this.isQuizCompleted) {
+            this.displayResults(this.calculateScore(), this.getResultLevel(), this.evaluateRedFlags());
+        } else if (profileForm) {
+            this.showProfileStep(this.readProfileForm(profileForm));
+        } else if (!document.querySelector('.resume-prompt')) {
+            this.showQuestion(this.currentQuestion);
+        }
+
+        this.announceToScreenReader(this.i18n.t('languageChanged', { language: I18n.languageNames[locale] || locale }));
+
+        if (window.HealthCheckPro) {
+            window.HealthCheckPro.trackEvent('language_changed', { tool: this.toolName, locale: locale });
+        }
+    }
+
+    applyLocale() {
+        this.i18n.applyTo(document, this.quizData.page);
+        this.setupCrisisHelp();
+
+        // The page is written in English; other languages rebuild the questions
+        if (this.renderedLocale !== this.i18n.locale) {
+            this.renderQuestions();
+            this.renderedLocale = this.i18n.locale;
+        }
+    }
+
+    renderQuestions() {
+        const quizContent = document.querySelector('.quiz-content');
+        if (!quizContent) return;
+
+        quizContent.innerHTML = this.quizData.questions
+            .map((question, index) => this.renderer.renderQuestion(question, index, this.getQuestionLabel(index), false))
+            .join('\n');
+    }
+
+    localizeAnswers() {
+        // Answer text is shown in reports and history, so it follows the language
+        Object.entries(this.answers).forEach(([index, answer]) => {
+            const question = this.quizData.questions[index];
+            const entry = this.isNumericQuestion(question)
+                ? [question.id, answer.entered ?? answer.value, answer.unit]
+                : [question.id, answer.value];
+            const localized = this.buildSharedAnswer(question, entry);
+
+            if (localized) {
+                this.answers[index] = answer.prefilled ? Object.assign(localized, { prefilled: true }) : localized;
+            }
+        });
+        this.saveSession();
+    }
+
+    async loadSchema() {
+        // Without the schema only the cross-field checks run
+        try {
+            const response = await fetch('../../schemas/quiz-data.schema.json');
+            return response.ok ? await response.json() : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
     setupEventListeners() {
         // Navigation buttons
         const prevBtn = document.getElementById('prevBtn');
@@ -62,9 +233,12 @@ class SymptomChecker {
         // Keyboard navigation
         document.addEventListener('keydown', (e) => {
             if (e.target.closest('.quiz-content')) {
+                // Arrow keys move the caret inside number fields, not the quiz
+                if (e.target.matches('input, select') && e.key !== 'Enter') return;
+
                 switch(e.key) {
                     case 'ArrowLeft':
-                        if (this.currentQuestion > 0) this.previousQuestion();
+                        if (this.history.length > 0) this.previousQuestion();
                         break;
                     case 'ArrowRight':
                         if (this.canProceed()) this.nextQuestion();
@@ -87,6 +261,30 @@ class SymptomChecker {
             }
         });
 
+        // Number, temperature and duration inputs
+        document.addEventListener('input', (e) => {
+            if (e.target.matches('.numeric-answer')) {
+                this.selectNumericAnswer(e.target);
+            }
+        });
+
+        document.addEventListener('change', (e) => {
+            if (e.target.matches('.numeric-unit')) {
+                this.selectNumericAnswer(e.target);
+            }
+
+            // Typed answers count once the field is left, not on every keystroke,
+            // so "10" on the way to "103" never raises the emergency dialog
+            if (e.target.matches('.numeric-answer, .numeric-unit')) {
+                const questionIndex = parseInt(e.target.closest('.question').dataset.question) - 1;
+                this.trackAnswer(questionIndex);
+                if (this.answers[questionIndex]) this.interruptForEmergency(questionIndex);
+            }
+        });
+
+        // Leaving part-way through ends the run as abandoned
+        window.addEventListener('pagehide', () => this.abandonRun('left'));
+
         // Restart quiz
         document.addEventListener('click', (e) => {
             if (e.target.closest('.restart-quiz')) {
@@ -94,6 +292,30 @@ class SymptomChecker {
                 this.restartQuiz();
             }
         });
+
+        // Printable report
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('.download-report')) {
+                e.preventDefault();
+                this.downloadReport();
+            }
+        });
+
+        // Shareable result link
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('.copy-share-link')) {
+                e.preventDefault();
+                this.copyShareLink();
+            }
+        });
+
+        // FHIR export for clinics
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('.export-fhir')) {
+                e.preventDefault();
+                this.exportFhir();
+            }
+        });
     }
 
     showQuestion(index) {
@@ -101,6 +323,13 @@ class SymptomChecker {
             return;
         }
 
+        if (!this.run) this.startRun();
+        if (this.run.questionIndex !== index) {
+            this.run.questionIndex = index;
+            this.run.shownAt = this.now();
+            this.emitQuizEvent('quiz_question_shown', this.getQuestionDetail(index));
+        }
+
         // Hide all questions
         document.querySelectorAll('.question').forEach(q => {
             q.classList.remove('active');
@@ -110,9 +339,15 @@ class SymptomChecker {
         const questionElement = document.querySelector(`.question[data-question="${index + 1}"]`);
         if (questionElement) {
             questionElement.classList.add('active');
+
+            // Numbering follows the questions reachable on the current path
+            const questionNumber = questionElement.querySelector('.question-number');
+            if (questionNumber) {
+                questionNumber.textContent = this.getQuestionLabel(index);
+            }
             
             // Focus on first answer option for accessibility
-            const firstAnswer = questionElement.querySelector('.answer-btn, .scale-btn');
+            const firstAnswer = questionElement.querySelector('.answer-btn, .scale-btn, .numeric-answer');
             if (firstAnswer) {
                 setTimeout(() => firstAnswer.focus(), 100);
             }
@@ -121,10 +356,54 @@ class SymptomChecker {
             this.generateQuestion(index);
         }
 
+        const activeQuestion = document.querySelector('.question.active');
+        if (activeQuestion) {
+            this.restoreAnswerState(activeQuestion, index);
+        }
+
         this.updateProgress();
         this.updateNavigationButtons();
     }
 
+    restoreAnswerState(questionDiv, index) {
+        // Re-mark a stored answer, e.g. after going back or resuming a session
+        const answer = this.answers[index];
+        this.markPrefilled(questionDiv, !!(answer && answer.prefilled));
+        if (!answer) return;
+
+        const values = [].concat(answer.value).map(String);
+        questionDiv.querySelectorAll('.answer-btn, .scale-btn').forEach(btn => {
+            const isSelected = values.includes(btn.dataset.value);
+            btn.classList.toggle('selected', isSelected);
+            btn.setAttribute(btn.hasAttribute('aria-pressed') ? 'aria-pressed' : 'aria-selected', String(isSelected));
+        });
+
+        const input = questionDiv.querySelector('.numeric-answer');
+        const unitSelect = questionDiv.querySelector('.numeric-unit');
+        if (input) {
+            if (unitSelect && answer.unit) unitSelect.value = answer.unit;
+            input.value = answer.entered ?? answer.value;
+        }
+    }
+
+    markPrefilled(questionDiv, isPrefilled) {
+        let badge = questionDiv.querySelector('.prefilled-badge');
+
+        if (isPrefilled && !badge) {
+            badge = document.createElement('p');
+            badge.className = 'prefilled-badge';
+            badge.textContent = this.i18n.t('prefilledBadge');
+            const title = questionDiv.querySelector('h2');
+            if (title) {
+                title.after(badge);
+            } else {
+                questionDiv.prepend(badge);
+            }
+        } else if (!isPrefilled && badge) {
+            badge.remove();
+        }
+    }
+
     generateQuestion(index) {
         const question = this.quizData.questions[index];
         const quizContent = document.querySelector('.quiz-content');
@@ -134,47 +413,10 @@ class SymptomChecker {
         // Clear existing questions
         quizContent.innerHTML = '';
 
-        const questionDiv = document.createElement('div');
-        questionDiv.className = 'question active';
-        questionDiv.setAttribute('data-question', index + 1);
-
-        let optionsHTML = '';
-        
-        if (question.type === 'scale') {
-            optionsHTML = `
-                <div class="scale-options">
-                    ${question.options.map(option => `
-                        <button class="scale-btn" data-value="${option.value}" data-weight="${option.weight}">
-                            ${option.value}
-                        </button>
-                    `).join('')}
-                </div>
-                <div class="scale-labels">
-                    <span>${question.scaleLabels?.min || 'Not at all'}</span>
-                    <span>${question.scaleLabels?.max || 'Extremely'}</span>
-                </div>
-            `;
-        } else {
-            optionsHTML = `
-                <div class="answer-options">
-                    ${question.options.map(option => `
-                        <button class="answer-btn" data-value="${option.value}" data-weight="${option.weight}">
-                            <span class="icon">${option.icon || '○'}</span>
-                            <span class="text">${option.text}</span>
-                        </button>
-                    `).join('')}
-                </div>
-            `;
-        }
-
-        questionDiv.innerHTML = `
-            <span class="question-number">Question ${index + 1} of ${this.quizData.questions.length}</span>
-            <h2>${question.question}</h2>
-            ${question.description ? `<p class="question-description">${question.description}</p>` : ''}
-            ${optionsHTML}
-        `;
-
-        quizContent.appendChild(questionDiv);
+        // Same markup scripts/build-tool-pages.js writes into the page
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = this.renderer.renderQuestion(question, index, this.getQuestionLabel(index), true);
+        quizContent.appendChild(wrapper.firstElementChild);
     }
 
     selectAnswer(button) {
@@ -182,6 +424,13 @@ class SymptomChecker {
 
         const questionDiv = button.closest('.question');
         const questionIndex = parseInt(questionDiv.dataset.question) - 1;
+
+        if (this.quizData.questions[questionIndex]?.type === 'multi-choice') {
+            this.selectMultiAnswer(button);
+            return;
+        }
+
+        this.markPrefilled(questionDiv, false);
         
         // Clear previous selections
         questionDiv.querySelectorAll('.answer-btn').forEach(btn => {
@@ -205,18 +454,166 @@ class SymptomChecker {
 
         // Update navigation
         this.updateNavigationButtons();
+        this.saveSession();
+        this.trackAnswer(questionIndex);
 
         // Auto-advance for better UX (optional)
-        if (this.quizData.autoAdvance !== false) {
-            setTimeout(() => {
-                if (this.canProceed()) {
-                    this.nextQuestion();
+        const advance = () => {
+            if (this.quizData.autoAdvance !== false) {
+                setTimeout(() => {
+                    if (this.canProceed()) {
+                        this.nextQuestion();
+                    }
+                }, 1000);
+            }
+        };
+
+        // An emergency answer can't wait for the results; the dialog
+        // announces itself, and the quiz moves on once it is dismissed
+        if (this.interruptForEmergency(questionIndex, advance)) return;
+
+        advance();
+
+        // Announce to screen readers
+        this.announceToScreenReader(this.i18n.t('selected', { answer: this.answers[questionIndex].text }));
+    }
+
+    selectMultiAnswer(button) {
+        const questionDiv = button.closest('.question');
+        const questionIndex = parseInt(questionDiv.dataset.question) - 1;
+        const question = this.quizData.questions[questionIndex];
+        const isSelecting = !button.classList.contains('selected');
+        const isExclusive = button.dataset.exclusive === 'true';
+
+        this.markPrefilled(questionDiv, false);
+
+        // An exclusive option ("None of these") can't be combined with the others
+        if (isSelecting) {
+            questionDiv.querySelectorAll('.answer-btn.selected').forEach(btn => {
+                if (isExclusive || btn.dataset.exclusive === 'true') {
+                    btn.classList.remove('selected');
+                    btn.setAttribute('aria-pressed', 'false');
                 }
-            }, 1000);
+            });
+        }
+
+        button.classList.toggle('selected', isSelecting);
+        button.setAttribute('aria-pressed', String(isSelecting));
+
+        // Store answer
+        const selected = Array.from(questionDiv.querySelectorAll('.answer-btn.selected'));
+        
+        if (selected.length === 0) {
+            delete this.answers[questionIndex];
+        } else {
+            const weight = selected.reduce((sum, btn) => sum + (parseInt(btn.dataset.weight) || 0), 0);
+            
+            this.answers[questionIndex] = {
+                value: selected.map(btn => btn.dataset.value),
+                weight: question.maxWeight !== undefined ? Math.min(weight, question.maxWeight) : weight,
+                text: selected.map(btn => btn.querySelector('.text')?.textContent || btn.dataset.value)
+            };
         }
 
+        // Update navigation
+        this.updateNavigationButtons();
+        this.saveSession();
+        this.trackAnswer(questionIndex);
+
+        if (isSelecting && this.interruptForEmergency(questionIndex)) return;
+
         // Announce to screen readers
-        this.announceToScreenReader(`Selected: ${this.answers[questionIndex].text}`);
+        const buttonText = button.querySelector('.text')?.textContent || button.dataset.value;
+        this.announceToScreenReader(this.i18n.t(isSelecting ? 'selected' : 'deselected', { answer: buttonText }));
+    }
+
+    isNumericQuestion(question) {
+        return ['number', 'temperature', 'duration'].includes(question.type);
+    }
+
+    getUnitOptions(question) {
+        return this.renderer.getUnitOptions(question);
+    }
+
+    toCanonicalValue(question, value, unit) {
+        // Temperatures are scored in °C and durations in days
+        if (question.type === 'temperature' && unit === 'F') {
+            return (value - 32) * 5 / 9;
+        }
+        if (question.type === 'duration') {
+            return value * ({ hours: 1 / 24, days: 1, weeks: 7 }[unit] || 1);
+        }
+        return value;
+    }
+
+    fromCanonicalValue(question, value, unit) {
+        if (question.type === 'temperature' && unit === 'F') {
+            return value * 9 / 5 + 32;
+        }
+        if (question.type === 'duration') {
+            return value / ({ hours: 1 / 24, days: 1, weeks: 7 }[unit] || 1);
+        }
+        return value;
+    }
+
+    getBandWeight(question, value) {
+        const band = (question.bands || []).find(band => band.max === undefined || value <= band.max);
+        return band ? band.weight : 0;
+    }
+
+    selectNumericAnswer(field) {
+        const questionDiv = field.closest('.question');
+        const questionIndex = parseInt(questionDiv.dataset.question) - 1;
+        const question = this.quizData.questions[questionIndex];
+        const input = questionDiv.querySelector('.numeric-answer');
+        const unitSelect = questionDiv.querySelector('.numeric-unit');
+        const errorMessage = questionDiv.querySelector('.numeric-error');
+        const unit = unitSelect ? unitSelect.value : question.unit;
+        const unitLabel = unitSelect ? unitSelect.selectedOptions[0].textContent.trim() : (question.unit || '');
+        const entered = parseFloat(input.value);
+        let error = '';
+
+        this.markPrefilled(questionDiv, false);
+        delete this.answers[questionIndex];
+
+        if (input.value.trim() !== '') {
+            const value = this.toCanonicalValue(question, entered, unit);
+            const tooLow = question.min !== undefined && value < question.min;
+            const tooHigh = question.max !== undefined && value > question.max;
+
+            if (isNaN(entered)) {
+                error = this.i18n.t('enterNumber');
+            } else if (tooLow || tooHigh) {
+                const format = limit => `${Math.round(this.fromCanonicalValue(question, limit, unit) * 10) / 10} ${unitLabel}`.trim();
+                if (question.min !== undefined && question.max !== undefined) {
+                    error = this.i18n.t('valueBetween', { min: format(question.min), max: format(question.max) });
+                } else if (tooLow) {
+                    error = this.i18n.t('valueAtLeast', { min: format(question.min) });
+                } else {
+                    error = this.i18n.t('valueAtMost', { max: format(question.max) });
+                }
+            } else {
+                // Store answer in the canonical unit so bands and conditions can use the raw value
+                const rounded = Math.round(value * 10) / 10;
+                this.answers[questionIndex] = {
+                    value: rounded,
+                    weight: this.getBandWeight(question, rounded),
+                    text: `${entered} ${unitLabel}`.trim(),
+                    unit: unit,
+                    entered: entered
+                };
+            }
+        }
+
+        if (errorMessage) {
+            errorMessage.textContent = error;
+            errorMessage.hidden = !error;
+        }
+        input.setAttribute('aria-invalid', error ? 'true' : 'false');
+
+        // Update navigation
+        this.updateNavigationButtons();
+        this.saveSession();
     }
 
     selectScaleAnswer(button) {
@@ -224,6 +621,8 @@ class SymptomChecker {
 
         const questionDiv = button.closest('.question');
         const questionIndex = parseInt(questionDiv.dataset.question) - 1;
+
+        this.markPrefilled(questionDiv, false);
         
         // Clear previous selections
         questionDiv.querySelectorAll('.scale-btn').forEach(btn => {
@@ -242,32 +641,85 @@ class SymptomChecker {
         this.answers[questionIndex] = {
             value: value,
             weight: weight,
-            text: `Scale: ${value}`
+            text: this.i18n.t('scaleAnswer', { value: value })
         };
 
         // Update navigation
         this.updateNavigationButtons();
+        this.saveSession();
+        this.trackAnswer(questionIndex);
+
+        // As with the other answer types; the dialog announces itself
+        if (this.interruptForEmergency(questionIndex)) return;
 
         // Announce to screen readers
-        this.announceToScreenReader(`Selected scale value: ${value}`);
+        this.announceToScreenReader(this.i18n.t('selectedScale', { value: value }));
     }
 
     nextQuestion() {
         if (!this.canProceed()) return;
 
-        if (this.currentQuestion < this.quizData.questions.length - 1) {
-            this.currentQuestion++;
+        // Enter in a number field moves on without a change event, so the
+        // typed answer gets its red flag check here
+        if (this.isNumericQuestion(this.quizData.questions[this.currentQuestion]) &&
+            this.interruptForEmergency(this.currentQuestion, () => this.nextQuestion())) return;
+
+        const nextIndex = this.getNextQuestionIndex(this.currentQuestion);
+        if (nextIndex !== -1) {
+            this.history.push(this.currentQuestion);
+            this.currentQuestion = nextIndex;
             this.showQuestion(this.currentQuestion);
+            this.saveSession();
         } else {
             this.completeQuiz();
         }
     }
 
     previousQuestion() {
-        if (this.currentQuestion > 0) {
-            this.currentQuestion--;
+        // Walk back along the path actually taken, not the question list
+        if (this.history.length > 0) {
+            this.emitQuizEvent('quiz_back', Object.assign(this.getQuestionDetail(this.currentQuestion), {
+                toQuestionId: this.quizData.questions[this.history[this.history.length - 1]].id
+            }));
+            this.currentQuestion = this.history.pop();
             this.showQuestion(this.currentQuestion);
+            this.saveSession();
+        }
+    }
+
+    isQuestionVisible(index) {
+        const question = this.quizData.questions[index];
+        return !!question && (!question.showIf || this.matchesCondition(question.showIf));
+    }
+
+    getNextQuestionIndex(index) {
+        for (let i = index + 1; i < this.quizData.questions.length; i++) {
+            if (this.isQuestionVisible(i)) return i;
         }
+        return -1;
+    }
+
+    getReachableQuestions() {
+        return this.quizData.questions
+            .map((question, index) => index)
+            .filter(index => this.isQuestionVisible(index));
+    }
+
+    getQuestionLabel(index) {
+        const reachable = this.getReachableQuestions();
+        const position = reachable.indexOf(index) + 1;
+        return this.i18n.t('questionLabel', { position: position, total: reachable.length });
+    }
+
+    getActiveAnswers() {
+        // Answers to questions that are no longer on the path don't count
+        const activeAnswers = {};
+        this.getReachableQuestions().forEach(index => {
+            if (this.answers.hasOwnProperty(index)) {
+                activeAnswers[index] = this.answers[index];
+            }
+        });
+        return activeAnswers;
     }
 
     canProceed() {
@@ -279,9 +731,10 @@ class SymptomChecker {
         const progressText = document.querySelector('.progress-text');
         
         if (progressFill && progressText) {
-            const progress = ((this.currentQuestion + 1) / this.quizData.questions.length) * 100;
+            const reachable = this.getReachableQuestions();
+            const progress = ((reachable.indexOf(this.currentQuestion) + 1) / reachable.length) * 100;
             progressFill.style.width = `${progress}%`;
-            progressText.textContent = `Question ${this.currentQuestion + 1} of ${this.quizData.questions.length}`;
+            progressText.textContent = this.getQuestionLabel(this.currentQuestion);
         }
     }
 
@@ -290,16 +743,16 @@ class SymptomChecker {
         const nextBtn = document.getElementById('nextBtn');
         
         if (prevBtn) {
-            prevBtn.disabled = this.currentQuestion === 0;
+            prevBtn.disabled = this.history.length === 0;
         }
         
         if (nextBtn) {
             nextBtn.disabled = !this.canProceed();
             
-            if (this.currentQuestion === this.quizData.questions.length - 1) {
-                nextBtn.textContent = 'Get Results';
+            if (this.getNextQuestionIndex(this.currentQuestion) === -1) {
+                nextBtn.textContent = this.i18n.t('getResults');
             } else {
-                nextBtn.textContent = 'Next';
+                nextBtn.textContent = this.i18n.t('next');
             }
         }
     }
@@ -307,100 +760,560 @@ class SymptomChecker {
     calculateScore() {
         this.totalScore = 0;
         
-        Object.values(this.answers).forEach(answer => {
+        Object.values(this.getActiveAnswers()).forEach(answer => {
             this.totalScore += answer.weight;
         });
 
         return this.totalScore;
     }
 
-    getResultLevel() {
-        const score = this.calculateScore();
-        const scoring = this.quizData.scoring;
-        
-        if (score <= scoring.low.max) {
-            return 'low';
-        } else if (score <= scoring.moderate.max) {
-            return 'moderate';
-        } else {
-            return 'high';
-        }
+    getQuestionMaxWeight(question) {
+        // Shared with the validator so the two can't disagree
+        return QuizValidator.getMaxWeight(question);
     }
 
-    completeQuiz() {
-        this.isQuizCompleted = true;
-        const score = this.calculateScore();
-        const level = this.getResultLevel();
-        
-        // Hide quiz, show results
-        document.querySelector('.quiz-container').style.display = 'none';
-        const resultsSection = document.getElementById('resultsSection');
-        
-        if (resultsSection) {
-            resultsSection.style.display = 'block';
-            this.displayResults(score, level);
-        }
+    calculateCategoryScores() {
+        // Subtotals per question category, over the questions on the current path
+        const config = this.quizData.categories || {};
+        const answers = this.getActiveAnswers();
+        const categories = {};
 
-        // Track completion
-        if (window.HealthCheckPro) {
-            window.HealthCheckPro.trackEvent('quiz_completed', {
-                tool: this.toolName,
-                score: score,
-                level: level,
-                answers: Object.keys(this.answers).length
-            });
-        }
+        this.getReachableQuestions().forEach(index => {
+            const question = this.quizData.questions[index];
+            const settings = config[question.category] || {};
 
-        // Scroll to results
-        resultsSection.scrollIntoView({ behavior: 'smooth' });
-        
-        // Announce completion
-        this.announceToScreenReader(`Quiz completed. Your risk level is ${level}. Score: ${score}.`);
+            if (!categories[question.category]) {
+                categories[question.category] = {
+                    category: question.category,
+                    label: settings.label || this.formatCategory(question.category),
+                    score: 0,
+                    maxScore: 0,
+                    threshold: settings.threshold,
+                    message: settings.message
+                };
+            }
+
+            const category = categories[question.category];
+            category.maxScore += this.getQuestionMaxWeight(question);
+            if (answers[index]) {
+                category.score += answers[index].weight;
+            }
+        });
+
+        return Object.values(categories).map(category => ({
+            ...category,
+            exceeded: category.threshold !== undefined && category.score >= category.threshold
+        }));
     }
 
-    displayResults(score, level) {
-        const scoring = this.quizData.scoring[level];
-        const recommendations = this.quizData.recommendations[level];
-        
-        // Update score display
-        const scoreNumber = document.querySelector('.score-number');
-        const scoreLabel = document.querySelector('.score-label');
-        const riskLevel = document.querySelector('.risk-level');
-        
-        if (scoreNumber) scoreNumber.textContent = score;
-        if (scoreLabel) scoreLabel.textContent = 'Risk Score';
-        if (riskLevel) {
-            riskLevel.textContent = scoring.level;
-            riskLevel.className = `risk-level ${level}`;
+    formatCategory(category) {
+        const label = category.replace(/-/g, ' ');
+        return label.charAt(0).toUpperCase() + label.slice(1);
+    }
+
+    getQuestionIndex(questionId) {
+        return this.quizData.questions.findIndex(q => q.id === questionId);
+    }
+
+    getAnswer(questionId) {
+        const index = this.getQuestionIndex(questionId);
+        return this.isQuestionVisible(index) ? this.answers[index] : undefined;
+    }
+
+    getProfileAnswer(field) {
+        const value = this.profileValues[field];
+        return value === undefined ? undefined : { value: value };
+    }
+
+    matchesCondition(condition) {
+        // Conditions may only reference earlier questions, so this always terminates
+        if (condition.all) {
+            return condition.all.every(c => this.matchesCondition(c));
+        }
+        if (condition.any) {
+            return condition.any.some(c => this.matchesCondition(c));
         }
 
-        // Update score circle color
-        const scoreCircle = document.querySelector('.score-circle');
-        if (scoreCircle) {
-            scoreCircle.style.background = `conic-gradient(from 0deg, ${scoring.color} 0deg, ${scoring.color} ${(score / (this.quizData.maxScore || 20)) * 360}deg, #e0e0e0 ${(score / (this.quizData.maxScore || 20)) * 360}deg, #e0e0e0 360deg)`;
+        // A shared link says which profile conditions held, never the answers.
+        // It names them by position, as a language switch replaces the quiz
+        // data and every condition object with it
+        if (condition.profile !== undefined && this.sharedProfileConditions) {
+            return this.sharedProfileConditions.has(this.getProfileConditions().indexOf(condition));
         }
 
-        // Update recommendations
-        const recommendationsList = document.querySelector('.result-interpretation ul');
-        if (recommendationsList && recommendations) {
-            recommendationsList.innerHTML = recommendations.map(rec => `<li>${rec}</li>`).join('');
+        // Profile fields are answered in the step before the first question
+        const answer = condition.profile
+            ? this.getProfileAnswer(condition.profile)
+            : this.getAnswer(condition.question);
+        if (!answer) return false;
+
+        // Number, temperature and duration answers are compared against a range
+        if (condition.min !== undefined || condition.max !== undefined) {
+            return (condition.min === undefined || answer.value >= condition.min) &&
+                (condition.max === undefined || answer.value <= condition.max);
         }
 
-        // Show emergency warning for high risk
-        const emergencyWarning = document.querySelector('.emergency-warning');
-        if (emergencyWarning) {
-            emergencyWarning.style.display = level === 'high' ? 'block' : 'none';
+        // Multi-choice answers hold an array of values; match on any of them
+        const values = [].concat(answer.value);
+        if (condition.notAnswers) {
+            return !values.some(value => condition.notAnswers.includes(value));
         }
+        return !condition.answers || values.some(value => condition.answers.includes(value));
     }
 
-    restartQuiz() {
-        // Reset all data
-        this.currentQuestion = 0;
-        this.answers = {};
-        this.totalScore = 0;
-        this.isQuizCompleted = false;
+    evaluateRedFlags() {
+        // Red flags are declared in quiz-data.json and checked before the additive score
+        const rules = this.quizData.redFlags || [];
+        return rules.filter(rule => this.matchesCondition(rule));
+    }
 
-        // Show quiz, hide results
+    interruptForEmergency(questionIndex, onContinue) {
+        // Each emergency rule interrupts once; "continue anyway" is respected
+        const flags = this.evaluateRedFlags().filter(flag => flag.emergency && !this.interruptedFlags.has(flag.id));
+        if (flags.length === 0) return false;
+
+        flags.forEach(flag => this.interruptedFlags.add(flag.id));
+        this.showEmergencyInterrupt(flags, onContinue);
+
+        if (window.HealthCheckPro) {
+            window.HealthCheckPro.trackEvent('emergency_interrupt', {
+                tool: this.toolName,
+                question: this.quizData.questions[questionIndex].id,
+                redFlags: flags.map(flag => flag.id)
+            });
+        }
+        return true;
+    }
+
+    showEmergencyInterrupt(flags, onContinue) {
+        const existing = document.querySelector('.emergency-interrupt');
+        if (existing) existing.remove();
+
+        // A country picked for the crisis lines counts for more than the
+        // language; "another country" gets the numbers most networks route
+        const saved = window.HealthCheckPro ? window.HealthCheckPro.getUserPreferences().crisisRegion : undefined;
+        const directory = saved === undefined
+            ? EmergencyDirectory.lookup(this.i18n.locale)
+            : EmergencyDirectory.forRegion(saved);
+        const [number, ...otherNumbers] = directory.numbers;
+        const symptoms = this.quizData.emergencySymptoms || this.quizData.warningSymptoms || [];
+        const messages = flags.filter(flag => flag.message).map(flag => flag.message);
+        const returnFocus = document.activeElement;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'emergency-interrupt';
+        overlay.innerHTML = `
+            <div class="emergency-dialog" role="alertdialog" aria-modal="true" aria-labelledby="emergency-interrupt-title" aria-describedby="emergency-interrupt-message">
+                <h2 id="emergency-interrupt-title">${this.i18n.t('emergencyHeading')}</h2>
+                <div id="emergency-interrupt-message">
+                    ${messages.map(message => `<p class="emergency-interrupt-reason">${message}</p>`).join('')}
+                    <p>${this.i18n.t('emergencyAdvice', { number: number })}</p>
+                </div>
+                <p class="emergency-call">
+                    <a href="tel:${number}">${this.i18n.t('emergencyCall', { number: number })}</a>
+                </p>
+                ${otherNumbers.length ? `<p class="emergency-other-numbers">${this.i18n.t('emergencyOtherNumbers', { numbers: this.i18n.formatList(otherNumbers) })}</p>` : ''}
+                ${symptoms.length ? `
+                    <p class="red-flag-symptoms-title">${this.i18n.t('redFlagSymptoms')}</p>
+                    <ul class="red-flag-symptoms">
+                        ${symptoms.map(symptom => `<li>${symptom}</li>`).join('')}
+                    </ul>
+                ` : ''}
+                <div class="resume-actions">
+                    <button type="button" class="btn-secondary emergency-continue">${this.i18n.t('emergencyContinue')}</button>
+                </div>
+            </div>
+        `;
+
+        // Everything behind the dialog is taken out of reach until it closes
+        const background = Array.from(document.body.children).filter(element => !element.hasAttribute('inert'));
+        background.forEach(element => element.setAttribute('inert', ''));
+        document.body.appendChild(overlay);
+
+        const dialog = overlay.querySelector('.emergency-dialog');
+        const focusable = () => Array.from(dialog.querySelectorAll('a[href], button'));
+
+        const close = () => {
+            overlay.remove();
+            background.forEach(element => element.removeAttribute('inert'));
+            if (returnFocus && returnFocus.focus) returnFocus.focus();
+
+            if (window.HealthCheckPro) {
+                window.HealthCheckPro.trackEvent('emergency_interrupt_continued', { tool: this.toolName });
+            }
+            if (onContinue) onContinue();
+        };
+
+        dialog.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                close();
+            } else if (e.key === 'Tab') {
+                // Keep focus inside the dialog
+                const elements = focusable();
+                const first = elements[0];
+                const last = elements[elements.length - 1];
+                if (e.shiftKey && document.activeElement === first) {
+                    last.focus();
+                    e.preventDefault();
+                } else if (!e.shiftKey && document.activeElement === last) {
+                    first.focus();
+                    e.preventDefault();
+                }
+            }
+        });
+
+        overlay.querySelector('.emergency-continue').addEventListener('click', close);
+        overlay.querySelector('.emergency-call a').addEventListener('click', () => {
+            if (window.HealthCheckPro) {
+                window.HealthCheckPro.trackEvent('emergency_call_clicked', { tool: this.toolName, region: directory.region });
+            }
+        });
+
+        overlay.querySelector('.emergency-call a').focus();
+    }
+
+    getBand(key) {
+        return this.quizData.scoring.find(band => band.key === key);
+    }
+
+    getScoringProfile() {
+        const profiles = (this.quizData.profile && this.quizData.profile.scoring) || [];
+        return profiles.find(profile => this.matchesCondition(profile.when)) || null;
+    }
+
+    getScoring() {
+        // A scoring profile moves the thresholds; labels and advice stay the same
+        const profile = this.getScoringProfile();
+        if (!profile) return this.quizData.scoring;
+
+        return this.quizData.scoring.map((band, i) => Object.assign({}, band, {
+            min: profile.bands[i].min,
+            max: profile.bands[i].max
+        }));
+    }
+
+    getScoreBand(score) {
+        // Bands are ordered from least to most serious
+        const bands = this.getScoring();
+        return bands.find(band => score >= band.min && score <= band.max)
+            || (score < bands[0].min ? bands[0] : bands[bands.length - 1]);
+    }
+
+    getResultLevel() {
+        const bands = this.quizData.scoring;
+        const rank = key => bands.findIndex(band => band.key === key);
+        let level = rank(this.getScoreBand(this.calculateScore()).key);
+
+        // A matched red flag raises the result to at least its band
+        this.evaluateRedFlags().forEach(flag => {
+            level = Math.max(level, rank(flag.level));
+        });
+
+        return bands[level].key;
+    }
+
+    completeQuiz() {
+        this.isQuizCompleted = true;
+        this.clearSession();
+        const score = this.calculateScore();
+        const level = this.getResultLevel();
+        const redFlags = this.evaluateRedFlags();
+        
+        // Hide quiz, show results
+        document.querySelector('.quiz-container').style.display = 'none';
+        const resultsSection = document.getElementById('resultsSection');
+        
+        if (resultsSection) {
+            resultsSection.style.display = 'block';
+            this.displayResults(score, level, redFlags);
+        }
+
+        // Track completion; the copy with the score stays on this device, the
+        // funnel's quiz_completed below is the one analytics.js sends on
+        if (window.HealthCheckPro) {
+            window.HealthCheckPro.trackEvent('quiz_completed', {
+                tool: this.toolName,
+                score: score,
+                level: level,
+                levelLabel: this.getBand(level).label,
+                levelRank: this.quizData.scoring.findIndex(band => band.key === level) + 1,
+                levelCount: this.quizData.scoring.length,
+                redFlags: redFlags.map(flag => flag.id),
+                answers: Object.keys(this.getActiveAnswers()).length
+            }, { sinks: ['local'] });
+        }
+
+        this.emitQuizEvent('quiz_completed', {
+            riskLevel: level,
+            totalScore: score,
+            redFlags: redFlags.map(flag => flag.id),
+            // Weights only, never the answers themselves
+            responses: Object.keys(this.getActiveAnswers()).map(index => ({
+                questionId: this.quizData.questions[index].id,
+                weight: this.answers[index].weight
+            }))
+        });
+        this.run = null;
+
+        // Keep a copy on this device for the history page
+        if (window.HealthHistory) {
+            window.HealthHistory.record(this.exportResults(), this.quizData, this.getScoring())
+                .catch(error => console.log('Assessment history unavailable:', error));
+        }
+
+        // Scroll to results
+        resultsSection.scrollIntoView({ behavior: 'smooth' });
+        
+        // Announce completion
+        this.announceToScreenReader(this.i18n.t('quizCompleted', { level: this.getBand(level).label, score: score }));
+    }
+
+    displayResults(score, level, redFlags = []) {
+        const band = this.getBand(level);
+        const recommendations = this.quizData.recommendations[level];
+        
+        // Update score display
+        const scoreNumber = document.querySelector('.score-number');
+        const scoreLabel = document.querySelector('.score-label');
+        const riskLevel = document.querySelector('.risk-level');
+        
+        if (scoreNumber) scoreNumber.textContent = score;
+        if (scoreLabel) scoreLabel.textContent = this.i18n.t('riskScore');
+        if (riskLevel) {
+            riskLevel.textContent = band.label;
+            riskLevel.className = `risk-level ${level}`;
+            riskLevel.style.color = band.color;
+            this.displayScoringNote(riskLevel);
+            this.displayCrisisResources(level, riskLevel);
+        }
+
+        // Update score circle color
+        const scoreCircle = document.querySelector('.score-circle');
+        if (scoreCircle) {
+            scoreCircle.style.background = `conic-gradient(from 0deg, ${band.color} 0deg, ${band.color} ${(score / (this.quizData.maxScore || 20)) * 360}deg, #e0e0e0 ${(score / (this.quizData.maxScore || 20)) * 360}deg, #e0e0e0 360deg)`;
+        }
+
+        // Update recommendations
+        const recommendationsList = document.querySelector('.result-interpretation ul');
+        if (recommendationsList && recommendations) {
+            recommendationsList.innerHTML = recommendations.map(rec => `<li>${rec}</li>`).join('');
+        }
+
+        // Show emergency warning for an emergency band or an emergency red flag
+        const emergencyWarning = document.querySelector('.emergency-warning');
+        if (emergencyWarning) {
+            const isEmergency = band.emergency === true || redFlags.some(flag => flag.emergency);
+            emergencyWarning.style.display = isEmergency ? 'block' : 'none';
+            this.displayRedFlags(emergencyWarning, isEmergency ? redFlags : []);
+        }
+
+        this.displayCategoryBreakdown(this.calculateCategoryScores());
+    }
+
+    displayScoringNote(riskLevel) {
+        // Say when other thresholds were used, so a level that differs from
+        // someone else's with the same score is explained
+        const profile = this.getScoringProfile();
+        let note = document.querySelector('.scoring-profile-note');
+
+        if (!profile) {
+            if (note) note.remove();
+            return;
+        }
+
+        if (!note) {
+            note = document.createElement('p');
+            note.className = 'scoring-profile-note';
+            riskLevel.parentNode.insertBefore(note, riskLevel.nextSibling);
+        }
+        note.textContent = profile.note;
+    }
+
+    displayCrisisResources(level, riskLevel) {
+        const config = this.quizData.crisisResources;
+        let section = document.getElementById('crisis-results');
+
+        if (!config || !window.CrisisResources || !(config.levels || []).includes(level)) {
+            if (section) section.remove();
+            return;
+        }
+
+        if (!section) {
+            section = document.createElement('section');
+            section.id = 'crisis-results';
+            section.className = 'crisis-resources';
+            section.dataset.heading = 'h3';
+            section.setAttribute('aria-labelledby', 'crisis-results-heading');
+            const anchor = document.querySelector('.scoring-profile-note') || riskLevel;
+            anchor.parentNode.insertBefore(section, anchor.nextSibling);
+        }
+
+        this.renderCrisisResources(section);
+    }
+
+    renderCrisisResources(container) {
+        const heading = container.dataset.heading;
+
+        new window.CrisisResources(this.i18n).attach(container, this.quizData.crisisResources, (region) => {
+            // Every block on the page follows the country just picked
+            document.querySelectorAll('.crisis-resources').forEach(block => this.renderCrisisResources(block));
+            container.querySelector('.crisis-country-select').focus();
+
+            if (window.HealthCheckPro) {
+                window.HealthCheckPro.trackEvent('crisis_region_changed', { tool: this.toolName, region: region });
+            }
+        });
+        container.insertAdjacentHTML('afterbegin', `<${heading} id="${container.id}-heading">${this.i18n.t('needHelpNow')}</${heading}>`);
+    }
+
+    setupCrisisHelp() {
+        // Mental health tools keep a way to crisis lines on screen at all times
+        if (!this.quizData.crisisResources || !window.CrisisResources) return;
+
+        let button = document.querySelector('.crisis-help-button');
+        let panel = document.getElementById('crisis-panel');
+
+        if (!button) {
+            button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'crisis-help-button';
+            button.setAttribute('aria-expanded', 'false');
+            button.setAttribute('aria-controls', 'crisis-panel');
+
+            panel = document.createElement('aside');
+            panel.id = 'crisis-panel';
+            panel.className = 'crisis-panel';
+            panel.setAttribute('aria-labelledby', 'crisis-panel-content-heading');
+            panel.hidden = true;
+            panel.innerHTML = `
+                <button type="button" class="crisis-panel-close">×</button>
+                <div id="crisis-panel-content" class="crisis-resources" data-heading="h2"></div>
+            `;
+
+            document.body.appendChild(button);
+            document.body.appendChild(panel);
+
+            const toggle = (open) => {
+                panel.hidden = !open;
+                button.setAttribute('aria-expanded', String(open));
+                if (open) {
+                    panel.querySelector('#crisis-panel-content a, #crisis-panel-content select').focus();
+                    if (window.HealthCheckPro) {
+                        window.HealthCheckPro.trackEvent('crisis_resources_opened', { tool: this.toolName });
+                    }
+                } else {
+                    button.focus();
+                }
+            };
+
+            button.addEventListener('click', () => toggle(panel.hidden));
+            panel.querySelector('.crisis-panel-close').addEventListener('click', () => toggle(false));
+            panel.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') toggle(false);
+            });
+        }
+
+        button.textContent = `🆘 ${this.i18n.t('needHelpNow')}`;
+        panel.querySelector('.crisis-panel-close').setAttribute('aria-label', this.i18n.t('close'));
+        this.renderCrisisResources(panel.querySelector('#crisis-panel-content'));
+    }
+
+    displayCategoryBreakdown(categories) {
+        const interpretation = document.querySelector('.result-interpretation');
+        let breakdown = document.querySelector('.category-breakdown');
+
+        // A single category would just repeat the total score
+        if (categories.length < 2 || !interpretation) {
+            if (breakdown) breakdown.remove();
+            return;
+        }
+
+        if (!breakdown) {
+            breakdown = document.createElement('div');
+            breakdown.className = 'category-breakdown';
+            interpretation.parentNode.insertBefore(breakdown, interpretation);
+        }
+
+        // Highest share of possible points first so the driving cluster stands out
+        const sorted = categories.slice().sort((a, b) => (b.score / b.maxScore || 0) - (a.score / a.maxScore || 0));
+        const alerts = sorted.filter(category => category.exceeded && category.message);
+
+        breakdown.innerHTML = `
+            <h3>${this.i18n.t('whatDroveScore')}</h3>
+            <ul class="category-list">
+                ${sorted.map(category => {
+                    const percent = category.maxScore ? Math.round((category.score / category.maxScore) * 100) : 0;
+                    const thresholdPercent = category.threshold !== undefined && category.maxScore
+                        ? Math.min(Math.round((category.threshold / category.maxScore) * 100), 100)
+                        : null;
+
+                    return `
+                        <li class="category-row${category.exceeded ? ' exceeded' : ''}">
+                            <span class="category-label">${category.label}</span>
+                            <span class="category-bar" role="img" aria-label="${this.i18n.t(category.exceeded ? 'categoryPointsExceeded' : 'categoryPoints', { label: category.label, score: category.score, max: category.maxScore })}">
+                                <span class="category-fill" style="width: ${percent}%"></span>
+                                ${thresholdPercent !== null ? `<span class="category-threshold" style="inset-inline-start: ${thresholdPercent}%"></span>` : ''}
+                            </span>
+                            <span class="category-score">${category.score}/${category.maxScore}</span>
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+            ${alerts.length ? `
+                <ul class="category-alerts">
+                    ${alerts.map(category => `<li><strong>${category.label}:</strong> ${category.message}</li>`).join('')}
+                </ul>
+            ` : ''}
+        `;
+    }
+
+    displayRedFlags(container, redFlags) {
+        let details = container.querySelector('.red-flag-details');
+        if (!details) {
+            details = document.createElement('div');
+            details.className = 'red-flag-details';
+            container.appendChild(details);
+        }
+
+        const symptoms = this.quizData.emergencySymptoms || this.quizData.warningSymptoms || [];
+        const messages = redFlags.filter(flag => flag.message).map(flag => flag.message);
+
+        details.innerHTML = `
+            ${messages.length ? `
+                <ul class="red-flag-list">
+                    ${messages.map(message => `<li>${message}</li>`).join('')}
+                </ul>
+            ` : ''}
+            ${symptoms.length ? `
+                <p class="red-flag-symptoms-title">${this.i18n.t('redFlagSymptoms')}</p>
+                <ul class="red-flag-symptoms">
+                    ${symptoms.map(symptom => `<li>${symptom}</li>`).join('')}
+                </ul>
+            ` : ''}
+        `;
+    }
+
+    restartQuiz() {
+        this.abandonRun('restart');
+
+        // Reset all data
+        this.currentQuestion = 0;
+        this.answers = {};
+        this.history = [];
+        this.totalScore = 0;
+        this.isQuizCompleted = false;
+        this.interruptedFlags.clear();
+        this.sharedProfileConditions = null;
+        this.clearSession();
+        this.clearShareNotice();
+
+        // Drop a shared-results fragment so a reload starts fresh
+        if (/^#r=/.test(window.location.hash)) {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+
+        // Show quiz, hide results
         document.querySelector('.quiz-container').style.display = 'block';
         const resultsSection = document.getElementById('resultsSection');
         if (resultsSection) {
@@ -410,17 +1323,710 @@ class SymptomChecker {
         // Reset UI
         document.querySelectorAll('.answer-btn, .scale-btn').forEach(btn => {
             btn.classList.remove('selected');
-            btn.setAttribute('aria-selected', 'false');
+            btn.setAttribute(btn.hasAttribute('aria-pressed') ? 'aria-pressed' : 'aria-selected', 'false');
         });
 
-        // Show first question
-        this.showQuestion(0);
+        // Show the profile step or the first question
+        this.startQuiz();
         
         // Scroll to top
         window.scrollTo({ top: 0, behavior: 'smooth' });
         
         // Announce restart
-        this.announceToScreenReader('Quiz restarted. Starting from question 1.');
+        this.announceToScreenReader(this.i18n.t('quizRestarted'));
+    }
+
+    downloadReport() {
+        if (!this.isQuizCompleted || !window.QuizReport) return;
+
+        window.QuizReport.print(this.exportResults(), this.quizData, this.i18n);
+
+        if (window.HealthCheckPro) {
+            window.HealthCheckPro.trackEvent('report_downloaded', { tool: this.toolName });
+        }
+    }
+
+    exportFhir() {
+        if (!this.isQuizCompleted || !window.FhirExport) return;
+
+        try {
+            window.FhirExport.download(this.exportResults(), this.quizData);
+            this.announceToScreenReader(this.i18n.t('fhirDownloaded'));
+
+            if (window.HealthCheckPro) {
+                window.HealthCheckPro.trackEvent('fhir_exported', { tool: this.toolName });
+            }
+        } catch (error) {
+            console.error('FHIR export failed:', error);
+            this.announceToScreenReader(this.i18n.t('fhirFailed'));
+        }
+    }
+
+    now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+
+    startRun() {
+        this.run = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            startedAt: this.now(),
+            questionIndex: null,
+            shownAt: null,
+            answered: {}
+        };
+
+        this.emitQuizEvent('quiz_started', {
+            resumed: Object.keys(this.answers).length > 0,
+            profile: Object.keys(this.profileValues).length > 0
+        });
+    }
+
+    getQuestionDetail(index) {
+        const question = this.quizData.questions[index];
+        const common = this.quizData.questions.filter(other => !other.showIf);
+        return {
+            questionId: question.id,
+            questionIndex: index,
+            questionNumber: this.getReachableQuestions().indexOf(index) + 1,
+            category: question.category || null,
+            conditional: Boolean(question.showIf),
+            commonIndex: question.showIf ? null : common.indexOf(question)
+        };
+    }
+
+    /**
+     * Sends quiz_question_answered the first time a question is answered in
+     * this run and quiz_answer_changed when a different answer is given later
+     */
+    trackAnswer(index) {
+        if (!this.run || !this.answers[index]) return;
+
+        const value = JSON.stringify(this.answers[index].value);
+        const previous = this.run.answered[index];
+        if (previous === value) return;
+
+        this.run.answered[index] = value;
+        const detail = this.getQuestionDetail(index);
+        if (this.run.questionIndex === index && this.run.shownAt !== null) {
+            detail.dwellMs = Math.round(this.now() - this.run.shownAt);
+        }
+        this.emitQuizEvent(previous === undefined ? 'quiz_question_answered' : 'quiz_answer_changed', detail);
+    }
+
+    abandonRun(reason) {
+        if (!this.run || this.isQuizCompleted) return;
+
+        const detail = this.run.questionIndex === null ? {} : this.getQuestionDetail(this.run.questionIndex);
+        detail.reason = reason;
+        detail.answered = Object.keys(this.getActiveAnswers()).length;
+        this.emitQuizEvent('quiz_abandoned', detail);
+        this.run = null;
+    }
+
+    /**
+     * Dispatches a quiz event on document for analytics.js and anything else
+     * listening. Every event's detail has toolName, quizVersion, locale, runId
+     * (one per pass through the quiz) and elapsedMs since the run started;
+     * question events add questionId, questionIndex, questionNumber,
+     * category, conditional (the question has a showIf, so being shown it
+     * says something about earlier answers or the profile) and commonIndex
+     * (its place among the questions everyone gets, null if conditional).
+     * The events are:
+     *   quiz_started            resumed, profile
+     *   quiz_question_shown
+     *   quiz_question_answered  dwellMs, time from the question showing
+     *   quiz_answer_changed     dwellMs
+     *   quiz_back               toQuestionId
+     *   quiz_abandoned          reason ("restart" or "left"), answered
+     *   quiz_completed          riskLevel, totalScore, redFlags, responses
+     *                           ({questionId, weight} only)
+     */
+    emitQuizEvent(type, detail = {}) {
+        if (!this.run) return;
+
+        document.dispatchEvent(new CustomEvent(type, {
+            detail: Object.assign({
+                toolName: this.toolName,
+                quizVersion: this.quizData.version,
+                locale: this.i18n.locale,
+                runId: this.run.id,
+                elapsedMs: Math.round(this.now() - this.run.startedAt)
+            }, detail)
+        }));
+    }
+
+    saveSession() {
+        if (this.isQuizCompleted) return;
+
+        try {
+            localStorage.setItem(this.sessionKey, JSON.stringify({
+                version: this.quizData.version,
+                savedAt: Date.now(),
+                currentQuestion: this.currentQuestion,
+                history: this.history,
+                answers: this.answers,
+                profile: this.profileValues
+            }));
+        } catch (e) {
+            console.log('Session saving disabled - localStorage not available');
+        }
+    }
+
+    loadSession() {
+        try {
+            const session = JSON.parse(localStorage.getItem(this.sessionKey) || 'null');
+            if (!session) return null;
+
+            // Sessions from another quiz version or older than the TTL are discarded
+            const ttlHours = this.quizData.sessionTtlHours || this.sessionTtlHours;
+            const isExpired = Date.now() - session.savedAt > ttlHours * 60 * 60 * 1000;
+            const isStale = session.version !== this.quizData.version;
+
+            if (isExpired || isStale || !session.answers || Object.keys(session.answers).length === 0) {
+                this.clearSession();
+                return null;
+            }
+
+            return session;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    clearSession() {
+        try {
+            localStorage.removeItem(this.sessionKey);
+        } catch (e) {
+            // Nothing to clear when storage is unavailable
+        }
+    }
+
+    getProfileFields() {
+        return (this.quizData.profile && this.quizData.profile.fields) || [];
+    }
+
+    startQuiz() {
+        // Checkers that use profile answers ask for them before the first question
+        if (this.getProfileFields().length) {
+            this.showProfileStep(HealthProfile.clean(this.profile.load(), this.getProfileFields()));
+        } else {
+            this.showQuestion(0);
+        }
+    }
+
+    renderProfileField(field, values) {
+        const definition = HealthProfile.fields[field];
+        const hidden = HealthProfile.isApplicable(field, values, this.getProfileFields()) ? '' : ' hidden';
+
+        if (definition.type === 'number') {
+            return `
+                <div class="profile-field" data-field="${field}"${hidden}>
+                    <label for="profile-${field}">${this.i18n.t(`profile_${field}`)}</label>
+                    <input type="number" id="profile-${field}" name="${field}" min="${definition.min}" max="${definition.max}" step="1" inputmode="numeric" value="${values[field] ?? ''}">
+                    <span class="profile-unit">${this.i18n.t('profileYears')}</span>
+                </div>
+            `;
+        }
+
+        return `
+            <fieldset class="profile-field" data-field="${field}"${hidden}>
+                <legend>${this.i18n.t(`profile_${field}`)}</legend>
+                ${definition.options.map(option => `
+                    <label class="profile-option">
+                        <input type="radio" name="${field}" value="${option}"${values[field] === option ? ' checked' : ''}>
+                        <span>${this.i18n.t(`${field}_${option}`)}</span>
+                    </label>
+                `).join('')}
+            </fieldset>
+        `;
+    }
+
+    readProfileForm(form) {
+        const values = {};
+        this.getProfileFields().forEach(field => {
+            if (HealthProfile.fields[field].type === 'number') {
+                const value = form.elements[field].value.trim();
+                if (value !== '') values[field] = Number(value);
+            } else {
+                const checked = form.querySelector(`input[name="${field}"]:checked`);
+                if (checked) values[field] = checked.value;
+            }
+        });
+        return values;
+    }
+
+    showProfileStep(values) {
+        const quizContent = document.querySelector('.quiz-content');
+        const navigation = document.querySelector('.quiz-navigation');
+        if (!quizContent) {
+            this.showQuestion(0);
+            return;
+        }
+
+        // Re-rendered in place when the language changes
+        const existing = document.querySelector('.profile-step');
+        if (existing) existing.remove();
+
+        const fields = this.getProfileFields();
+        const hasSaved = Object.keys(HealthProfile.clean(this.profile.load(), fields)).length > 0;
+
+        const prompt = document.createElement('div');
+        prompt.className = 'resume-prompt profile-step';
+        prompt.setAttribute('role', 'region');
+        prompt.setAttribute('aria-label', this.i18n.t('profileHeading'));
+        prompt.innerHTML = `
+            <h2>${this.i18n.t('profileHeading')}</h2>
+            <p>${this.i18n.t('profileIntro')}</p>
+            <form class="profile-form" novalidate>
+                ${fields.map(field => this.renderProfileField(field, values)).join('')}
+                <p class="profile-error" role="alert" hidden></p>
+                <div class="resume-actions">
+                    <button type="submit" class="btn-primary">${this.i18n.t('profileContinue')}</button>
+                    <button type="button" class="btn-secondary skip-profile">${this.i18n.t('profileSkip')}</button>
+                    ${hasSaved ? `<button type="button" class="btn-secondary forget-profile">${this.i18n.t('profileForget')}</button>` : ''}
+                </div>
+            </form>
+        `;
+
+        quizContent.style.display = 'none';
+        if (navigation) navigation.style.display = 'none';
+        quizContent.parentNode.insertBefore(prompt, quizContent);
+
+        const form = prompt.querySelector('.profile-form');
+        const error = prompt.querySelector('.profile-error');
+
+        const closePrompt = (skipped) => {
+            prompt.remove();
+            quizContent.style.display = '';
+            if (navigation) navigation.style.display = '';
+            this.showQuestion(0);
+
+            // Only whether the step was used is tracked, never the answers
+            if (window.HealthCheckPro) {
+                window.HealthCheckPro.trackEvent('profile_step', { tool: this.toolName, skipped: skipped });
+            }
+        };
+
+        // Pregnancy is only asked when it can apply
+        form.addEventListener('change', () => {
+            const current = this.readProfileForm(form);
+            fields.forEach(field => {
+                form.querySelector(`[data-field="${field}"]`).hidden = !HealthProfile.isApplicable(field, current, fields);
+            });
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            const entered = this.readProfileForm(form);
+            const cleaned = HealthProfile.clean(entered, fields);
+            const invalid = fields.find(field => HealthProfile.fields[field].type === 'number' &&
+                entered[field] !== undefined && (cleaned[field] === undefined || !Number.isInteger(entered[field])));
+
+            if (invalid) {
+                const definition = HealthProfile.fields[invalid];
+                error.textContent = this.i18n.t('profileAgeError', { min: definition.min, max: definition.max });
+                error.hidden = false;
+                form.elements[invalid].focus();
+                return;
+            }
+
+            this.profileValues = cleaned;
+            this.profile.update(cleaned, fields);
+            closePrompt(false);
+        });
+
+        prompt.querySelector('.skip-profile').addEventListener('click', () => {
+            this.profileValues = {};
+            closePrompt(true);
+        });
+
+        const forget = prompt.querySelector('.forget-profile');
+        if (forget) {
+            forget.addEventListener('click', () => {
+                this.profile.clear();
+                form.querySelectorAll('input[type="number"]').forEach(input => { input.value = ''; });
+                form.querySelectorAll('input[type="radio"]').forEach(input => { input.checked = false; });
+                form.dispatchEvent(new Event('change'));
+                forget.remove();
+                this.announceToScreenReader(this.i18n.t('profileForgotten'));
+            });
+        }
+
+        setTimeout(() => form.querySelector('input').focus(), 100);
+    }
+
+    showResumePrompt(session) {
+        const quizContent = document.querySelector('.quiz-content');
+        const navigation = document.querySelector('.quiz-navigation');
+        if (!quizContent) return;
+
+        const prompt = document.createElement('div');
+        prompt.className = 'resume-prompt';
+        prompt.setAttribute('role', 'region');
+        prompt.setAttribute('aria-label', this.i18n.t('unfinishedAssessment'));
+        prompt.innerHTML = `
+            <h2>${this.i18n.t('welcomeBack')}</h2>
+            <p>${this.i18n.t('unfinishedFrom', { date: this.i18n.formatDateTime(session.savedAt) })}</p>
+            <div class="resume-actions">
+                <button type="button" class="btn-primary resume-session">${this.i18n.t('resumeSession')}</button>
+                <button type="button" class="btn-secondary start-over">${this.i18n.t('startOver')}</button>
+            </div>
+        `;
+
+        quizContent.style.display = 'none';
+        if (navigation) navigation.style.display = 'none';
+        quizContent.parentNode.insertBefore(prompt, quizContent);
+
+        const closePrompt = () => {
+            prompt.remove();
+            quizContent.style.display = '';
+            if (navigation) navigation.style.display = '';
+        };
+
+        prompt.querySelector('.resume-session').addEventListener('click', () => {
+            closePrompt();
+            this.answers = session.answers;
+            this.history = session.history || [];
+            this.profileValues = HealthProfile.clean(session.profile, this.getProfileFields());
+            this.currentQuestion = session.currentQuestion || 0;
+            this.showQuestion(this.currentQuestion);
+            this.announceToScreenReader(this.i18n.t('resumedAt', { label: this.getQuestionLabel(this.currentQuestion).toLocaleLowerCase(this.i18n.locale) }));
+        });
+
+        prompt.querySelector('.start-over').addEventListener('click', () => {
+            closePrompt();
+            this.clearSession();
+            this.startQuiz();
+            this.announceToScreenReader(this.i18n.t('startingOver'));
+        });
+
+        setTimeout(() => prompt.querySelector('.resume-session').focus(), 100);
+    }
+
+    getConceptAnswers() {
+        // Answers keyed by concept id, which other checkers can offer again
+        const concepts = {};
+        Object.entries(this.getActiveAnswers()).forEach(([index, answer]) => {
+            const question = this.quizData.questions[index];
+            if (!question.concept) return;
+
+            const conceptValues = [].concat(answer.value).map(value => {
+                const option = question.options.find(o => o.value === value);
+                return option.conceptValue || option.value;
+            });
+            concepts[question.concept] = question.type === 'multi-choice' ? conceptValues : conceptValues[0];
+        });
+        return concepts;
+    }
+
+    async findRecentConceptAnswers() {
+        const conceptQuestions = this.quizData.questions.filter(question => question.concept);
+        if (!window.HealthHistory || conceptQuestions.length === 0) return null;
+
+        let entries;
+        try {
+            entries = await window.HealthHistory.getAll();
+        } catch (error) {
+            return null;
+        }
+
+        const cutoff = Date.now() - this.conceptMaxAgeDays * 24 * 60 * 60 * 1000;
+        const recent = entries
+            .filter(entry => entry.tool !== this.toolName && entry.concepts && Date.parse(entry.completedAt) >= cutoff)
+            .reverse();
+
+        const answers = {};
+        const sources = [];
+
+        // The newest answer for each concept wins
+        conceptQuestions.forEach(question => {
+            const entry = recent.find(e => e.concepts.hasOwnProperty(question.concept));
+            if (!entry) return;
+
+            const values = [].concat(entry.concepts[question.concept])
+                .map(conceptValue => question.options.find(o => (o.conceptValue || o.value) === conceptValue))
+                .filter(Boolean)
+                .map(option => option.value);
+            if (values.length === 0) return;
+
+            const answer = this.buildSharedAnswer(question, [question.id, question.type === 'multi-choice' ? values : values[0]]);
+            if (!answer) return;
+
+            answers[this.quizData.questions.indexOf(question)] = Object.assign(answer, { prefilled: true });
+            if (!sources.includes(entry)) sources.push(entry);
+        });
+
+        return Object.keys(answers).length ? { answers, sources } : null;
+    }
+
+    showConceptPrompt(recent) {
+        const quizContent = document.querySelector('.quiz-content');
+        const navigation = document.querySelector('.quiz-navigation');
+        if (!quizContent) {
+            this.startQuiz();
+            return;
+        }
+
+        const count = Object.keys(recent.answers).length;
+        const sources = this.i18n.formatList(recent.sources
+            .map(entry => this.i18n.t('recentSource', { tool: entry.title || entry.tool, date: this.i18n.formatDate(entry.completedAt) })));
+
+        const prompt = document.createElement('div');
+        prompt.className = 'resume-prompt concept-prompt';
+        prompt.setAttribute('role', 'region');
+        prompt.setAttribute('aria-label', this.i18n.t('reuseRecentAnswers'));
+        prompt.innerHTML = `
+            <h2>${this.i18n.t('useRecentHeading')}</h2>
+            <p>${this.i18n.t('recentAnswers', { count: count, sources: sources })}</p>
+            <div class="resume-actions">
+                <button type="button" class="btn-primary use-recent-answers">${this.i18n.t('useRecentAnswers')}</button>
+                <button type="button" class="btn-secondary skip-recent-answers">${this.i18n.t('answerFromScratch')}</button>
+            </div>
+        `;
+
+        quizContent.style.display = 'none';
+        if (navigation) navigation.style.display = 'none';
+        quizContent.parentNode.insertBefore(prompt, quizContent);
+
+        const closePrompt = () => {
+            prompt.remove();
+            quizContent.style.display = '';
+            if (navigation) navigation.style.display = '';
+        };
+
+        prompt.querySelector('.use-recent-answers').addEventListener('click', () => {
+            closePrompt();
+            this.answers = recent.answers;
+            this.saveSession();
+            this.startQuiz();
+            this.announceToScreenReader(this.i18n.t('recentFilled', { count: count }));
+
+            if (window.HealthCheckPro) {
+                window.HealthCheckPro.trackEvent('recent_answers_reused', { tool: this.toolName, answers: count });
+            }
+        });
+
+        prompt.querySelector('.skip-recent-answers').addEventListener('click', () => {
+            closePrompt();
+            this.startQuiz();
+            this.announceToScreenReader(this.i18n.t('startingOver'));
+        });
+
+        setTimeout(() => prompt.querySelector('.use-recent-answers').focus(), 100);
+    }
+
+    getShareUrl() {
+        // Only question ids and option values go in the link; everything else
+        // is rebuilt from quiz-data.json when it is opened. It lives in the
+        // fragment, which browsers never send to the server.
+        const answers = [];
+        Object.entries(this.getActiveAnswers()).forEach(([index, answer]) => {
+            const question = this.quizData.questions[index];
+            answers.push(this.isNumericQuestion(question)
+                ? [question.id, answer.entered ?? answer.value, answer.unit]
+                : [question.id, answer.value]);
+        });
+
+        // Profile answers can change thresholds, branching and red flags, so
+        // the link says which profile conditions held; the age, sex and
+        // pregnancy answers themselves stay on this device
+        const shared = { v: this.quizData.version, a: answers };
+        const held = this.getProfileConditions()
+            .map((condition, index) => (this.matchesCondition(condition) ? index : -1))
+            .filter(index => index !== -1);
+        if (held.length) shared.pc = held;
+
+        const payload = JSON.stringify(shared);
+        const encoded = btoa(unescape(encodeURIComponent(payload)))
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+
+        return `${window.location.origin}${window.location.pathname}#r=${encoded}`;
+    }
+
+    /**
+     * Every condition on a profile answer (branching, red flags, scoring
+     * profiles), always in the same order so a shared link can refer to
+     * them by position
+     */
+    getProfileConditions() {
+        const profileScoring = (this.quizData.profile && this.quizData.profile.scoring) || [];
+        return [].concat(
+            this.quizData.questions.map(question => question.showIf),
+            this.quizData.redFlags || [],
+            profileScoring.map(profile => profile.when)
+        ).flatMap(condition => QuizValidator.conditionLeaves(condition))
+            .filter(condition => condition.profile !== undefined);
+    }
+
+    readShareFragment(key = 'r') {
+        const match = window.location.hash.match(new RegExp(`^#${key}=([A-Za-z0-9_-]+)$`));
+        if (!match) return null;
+
+        try {
+            const base64 = match[1].replace(/-/g, '+').replace(/_/g, '/');
+            const payload = JSON.parse(decodeURIComponent(escape(atob(base64))));
+            return Array.isArray(payload.a) ? payload : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    buildSharedAnswer(question, entry) {
+        const [, value, unit] = entry;
+
+        if (this.isNumericQuestion(question)) {
+            const entered = parseFloat(value);
+            if (isNaN(entered)) return null;
+
+            const canonical = Math.round(this.toCanonicalValue(question, entered, unit) * 10) / 10;
+            const unitLabel = (this.getUnitOptions(question).find(option => option.value === unit) || {}).label || question.unit || '';
+            return {
+                value: canonical,
+                weight: this.getBandWeight(question, canonical),
+                text: `${entered} ${unitLabel}`.trim(),
+                unit: unit,
+                entered: entered
+            };
+        }
+
+        const values = [].concat(value).map(String);
+        const options = values.map(v => (question.options || []).find(option => option.value === v));
+        if (options.length === 0 || options.includes(undefined)) return null;
+
+        if (question.type === 'multi-choice') {
+            const weight = options.reduce((sum, option) => sum + option.weight, 0);
+            return {
+                value: values,
+                weight: question.maxWeight !== undefined ? Math.min(weight, question.maxWeight) : weight,
+                text: options.map(option => option.text)
+            };
+        }
+
+        return {
+            value: values[0],
+            weight: options[0].weight,
+            text: question.type === 'scale' ? this.i18n.t('scaleAnswer', { value: values[0] }) : options[0].text
+        };
+    }
+
+    loadSharedResults() {
+        if (!/^#r=/.test(window.location.hash)) return false;
+
+        const payload = this.readShareFragment();
+        const answers = {};
+        let skipped = 0;
+
+        (payload ? payload.a : []).forEach(entry => {
+            const index = Array.isArray(entry) ? this.getQuestionIndex(entry[0]) : -1;
+            const answer = index === -1 ? null : this.buildSharedAnswer(this.quizData.questions[index], entry);
+            if (answer) {
+                answers[index] = answer;
+            } else {
+                skipped++;
+            }
+        });
+
+        if (Object.keys(answers).length === 0) {
+            this.showShareNotice(this.i18n.t('shareDamaged'), true);
+            return false;
+        }
+
+        // Weights always come from the current quiz data, so an old link is
+        // scored against today's questions and bands
+        let warning = '';
+        if (payload.v !== this.quizData.version) {
+            warning = this.i18n.t('shareVersionMismatch', { version: payload.v || this.i18n.t('versionUnknown'), current: this.quizData.version });
+        } else if (skipped > 0) {
+            warning = this.i18n.t('sharePartial');
+        }
+
+        // Used for this view only; the viewer's own profile is left alone
+        this.answers = answers;
+        this.sharedProfileConditions = new Set([].concat(payload.pc || []).filter(Number.isInteger));
+        this.isQuizCompleted = true;
+        const score = this.calculateScore();
+        const level = this.getResultLevel();
+
+        document.querySelector('.quiz-container').style.display = 'none';
+        const resultsSection = document.getElementById('resultsSection');
+        if (resultsSection) {
+            resultsSection.style.display = 'block';
+            this.displayResults(score, level, this.evaluateRedFlags());
+        }
+
+        this.showShareNotice(warning || this.i18n.t('sharedViewing'), !!warning);
+        this.announceToScreenReader(this.i18n.t('sharedAnnouncement', { level: this.getBand(level).label, score: score }));
+        return true;
+    }
+
+    loadPrefill() {
+        if (!/^#p=/.test(window.location.hash)) return false;
+
+        const payload = this.readShareFragment('p');
+        const answers = {};
+
+        (payload ? payload.a : []).forEach(entry => {
+            const index = Array.isArray(entry) ? this.getQuestionIndex(entry[0]) : -1;
+            const answer = index === -1 ? null : this.buildSharedAnswer(this.quizData.questions[index], entry);
+            if (answer) {
+                answers[index] = Object.assign(answer, { prefilled: true });
+            }
+        });
+
+        // Drop the fragment so a reload resumes the session instead
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+
+        const count = Object.keys(answers).length;
+        if (count === 0) return false;
+
+        this.clearSession();
+        this.answers = answers;
+        this.saveSession();
+        this.showShareNotice(this.i18n.t('prefillNotice', { count: count }), false);
+
+        if (window.HealthCheckPro) {
+            window.HealthCheckPro.trackEvent('triage_prefill_applied', { tool: this.toolName, answers: count });
+        }
+        return true;
+    }
+
+    showShareNotice(message, isWarning) {
+        this.clearShareNotice();
+
+        const anchor = document.getElementById('resultsSection')?.style.display === 'block'
+            ? document.querySelector('#resultsSection .container')
+            : document.querySelector('.quiz-container .container');
+        if (!anchor) return;
+
+        const notice = document.createElement('div');
+        notice.className = `share-notice${isWarning ? ' warning' : ''}`;
+        notice.setAttribute('role', isWarning ? 'alert' : 'status');
+        notice.textContent = message;
+        anchor.insertBefore(notice, anchor.firstChild);
+    }
+
+    clearShareNotice() {
+        document.querySelectorAll('.share-notice').forEach(notice => notice.remove());
+    }
+
+    async copyShareLink() {
+        if (!this.isQuizCompleted) return;
+
+        const url = this.getShareUrl();
+
+        try {
+            await navigator.clipboard.writeText(url);
+            this.announceToScreenReader(this.i18n.t('shareCopied'));
+        } catch (e) {
+            window.prompt(this.i18n.t('copySharePrompt'), url);
+        }
+
+        if (window.HealthCheckPro) {
+            window.HealthCheckPro.trackEvent('share_link_copied', { tool: this.toolName });
+        }
     }
 
     announceToScreenReader(message) {
@@ -443,9 +2049,9 @@ class SymptomChecker {
         if (quizContent) {
             quizContent.innerHTML = `
                 <div class="error-message" style="text-align: center; padding: 2rem;">
-                    <h2>❌ Error</h2>
+                    <h2>${this.i18n.t('errorHeading')}</h2>
                     <p>${message}</p>
-                    <button onclick="location.reload()" class="btn-primary">Reload Page</button>
+                    <button onclick="location.reload()" class="btn-primary">${this.i18n.t('reloadPage')}</button>
                 </div>
             `;
         }
@@ -454,25 +2060,32 @@ class SymptomChecker {
     // Public API methods
     getCurrentProgress() {
         return {
-            currentQuestion: this.currentQuestion + 1,
-            totalQuestions: this.quizData?.questions?.length || 0,
-            answeredQuestions: Object.keys(this.answers).length,
+            currentQuestion: this.history.length + 1,
+            totalQuestions: this.quizData ? this.getReachableQuestions().length : 0,
+            answeredQuestions: Object.keys(this.getActiveAnswers()).length,
             isCompleted: this.isQuizCompleted
         };
     }
 
     getAnswerSummary() {
-        return this.answers;
+        return this.getActiveAnswers();
     }
 
     exportResults() {
         if (!this.isQuizCompleted) return null;
-        
+
+        // Only which thresholds applied is kept, not the profile answers
+        const scoringProfile = this.getScoringProfile();
         return {
             tool: this.toolName,
             score: this.totalScore,
             level: this.getResultLevel(),
-            answers: this.answers,
+            redFlags: this.evaluateRedFlags().map(flag => flag.id),
+            answers: this.getActiveAnswers(),
+            categories: this.calculateCategoryScores(),
+            concepts: this.getConceptAnswers(),
+            scoringProfile: scoringProfile ? scoringProfile.id : null,
+            locale: this.i18n.locale,
             completedAt: new Date().toISOString(),
             recommendations: this.quizData.recommendations[this.getResultLevel()]
         };
@@ -0,0 +1,123 @@
+/**
+ * HealthCheckPro - Telemetry Scrubber
+ * Everything the event bus sends off the device (the collector and GA
+ * sinks) passes through scrub() first. Only fields on the allow list for
+ * an event survive, each checked against its rule, so answers, free text,
+ * class names and URLs are dropped; scores are reduced to bands of ten.
+ * Events that only exist to describe someone's health are not sent at all.
+ * The local buffer is not scrubbed, as it never leaves the device.
+ *
+ * scripts/check-telemetry-scrub.js fails if anything outside these lists
+ * gets through.
+ */
+
+class TelemetryScrubber {
+    /**
+     * Returns the data that may leave the device for this event, or null
+     * when the event must not be sent
+     */
+    static scrub(eventName, data = {}) {
+        if (TelemetryScrubber.blocked.includes(eventName)) return null;
+
+        const rules = Object.assign({}, TelemetryScrubber.common, TelemetryScrubber.events[eventName]);
+        const clean = {};
+
+        Object.keys(rules).forEach(field => {
+            if (!data || !Object.prototype.hasOwnProperty.call(data, field)) return;
+
+            const value = TelemetryScrubber.applyRule(rules[field], data[field]);
+            if (value !== undefined) clean[field] = value;
+        });
+
+        return clean;
+    }
+
+    static allowedFields(eventName) {
+        if (TelemetryScrubber.blocked.includes(eventName)) return [];
+        return Object.keys(Object.assign({}, TelemetryScrubber.common, TelemetryScrubber.events[eventName]));
+    }
+
+    /**
+     * Returns the value if it passes the rule, or undefined to drop it.
+     * Rules: "id" (slug or number), "label" (short fixed wording such as
+     * "Symptom Assessment" or "LCP"), "number", "boolean", "band" (a
+     * score, sent as "10-19"), or an array of allowed values.
+     */
+    static applyRule(rule, value) {
+        if (Array.isArray(rule)) {
+            return rule.includes(value) ? value : undefined;
+        }
+
+        switch(rule) {
+            case 'id':
+                if (typeof value === 'number' && Number.isInteger(value)) return value;
+                return typeof value === 'string' && /^[a-z0-9][a-z0-9._-]{0,63}$/i.test(value) ? value : undefined;
+            case 'label':
+                return typeof value === 'string' && /^[A-Za-z0-9][A-Za-z0-9 %.-]{0,39}$/.test(value) ? value : undefined;
+            case 'number':
+                return typeof value === 'number' && isFinite(value) ? Math.round(value) : undefined;
+            case 'boolean':
+                return typeof value === 'boolean' ? value : undefined;
+            case 'band':
+                return typeof value === 'number' && isFinite(value) ? TelemetryScrubber.band(value) : undefined;
+            default:
+                return undefined;
+        }
+    }
+
+    static band(score, size = 10) {
+        const low = Math.floor(Math.max(0, score) / size) * size;
+        return `${low}-${low + size - 1}`;
+    }
+}
+
+// Fields any event may carry
+TelemetryScrubber.common = {
+    tool: 'id',
+    event_category: 'label',
+    non_interaction: 'boolean'
+};
+
+// Fields each event may carry on top of the common ones; anything else is dropped
+TelemetryScrubber.events = {
+    tool_access: { event_label: 'label', custom_parameter_1: 'label' },
+    quiz_progress: { event_label: 'id', custom_parameter_1: 'id', custom_parameter_2: 'id', value: 'number' },
+    assessment_completed: { event_label: 'id', custom_parameter_1: 'id', value: 'band' },
+    user_engagement: { event_label: 'label', value: 'number' },
+    scroll_depth: { event_label: 'label', value: 'number', scroll_percent: 'number' },
+    ui_interaction: { event_label: 'id' },
+    conversion: { event_label: 'label', value: 'number' },
+    web_vitals: { event_label: ['CLS', 'FID', 'FCP', 'LCP', 'TTFB', 'INP'], rating: ['good', 'needs-improvement', 'poor'], value: 'number' },
+    page_timing: { event_label: 'label', value: 'number' },
+    slow_resource: { event_label: 'id', value: 'number' },
+    long_task: { event_label: 'label', value: 'number' },
+    newsletter_signup: { method: 'id' },
+    article_click: { click_location: 'id' },
+    share: { method: 'id', content_type: 'id' },
+    theme_change: { theme: ['light', 'dark'] },
+    quiz_started: { event_label: 'id', version: 'id', run: 'id', elapsed_ms: 'number' },
+    quiz_question_shown: { event_label: 'id', version: 'id', run: 'id', question: 'id', question_index: 'number', elapsed_ms: 'number' },
+    quiz_question_answered: { event_label: 'id', version: 'id', run: 'id', question: 'id', question_index: 'number', dwell_ms: 'number', elapsed_ms: 'number' },
+    quiz_answer_changed: { event_label: 'id', version: 'id', run: 'id', question: 'id', question_index: 'number', dwell_ms: 'number', elapsed_ms: 'number' },
+    quiz_back: { event_label: 'id', version: 'id', run: 'id', question: 'id', question_index: 'number', elapsed_ms: 'number' },
+    quiz_abandoned: { event_label: 'id', version: 'id', run: 'id', question: 'id', question_index: 'number', elapsed_ms: 'number', reason: ['restart', 'left'] },
+    quiz_completed: { event_label: 'id', version: 'id', run: 'id', elapsed_ms: 'number' }
+};
+
+// Events whose name alone says something about someone's health: a
+// judgement of it, an emergency answer or a look at the crisis lines
+TelemetryScrubber.blocked = [
+    'health_concern_analysis',
+    'emergency_interrupt',
+    'emergency_interrupt_continued',
+    'emergency_call_clicked',
+    'crisis_resources_opened',
+    'crisis_region_changed'
+];
+
+// Export for global access
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TelemetryScrubber;
+} else {
+    window.TelemetryScrubber = TelemetryScrubber;
+}
@@ -0,0 +1,240 @@
+/**
+ * HealthCheckPro - "Which checker should I use?" Triage
+ * Asks a few body-system questions on the homepage, ranks the symptom
+ * checkers by how well their metadata tags match, and links to each one
+ * with the answers it shares with the triage already filled in.
+ */
+
+class TriageFlow {
+    constructor() {
+        this.data = null;
+        this.tools = null;
+        this.maxMatches = 3;
+
+        this.init();
+    }
+
+    async init() {
+        this.section = document.querySelector('.triage');
+        if (!this.section) return;
+
+        try {
+            const response = await fetch('tools/triage.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            this.data = await response.json();
+
+            this.renderForm();
+            this.setupEventListeners();
+            this.section.hidden = false;
+        } catch (error) {
+            // The tool cards below still work without the triage
+            console.error('Failed to load triage questions:', error);
+        }
+    }
+
+    setupEventListeners() {
+        const form = this.section.querySelector('.triage-form');
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.showMatches();
+        });
+
+        form.addEventListener('reset', () => {
+            const results = this.section.querySelector('.triage-results');
+            results.hidden = true;
+            results.innerHTML = '';
+        });
+
+        // "None of these" can't be combined with the other options
+        form.addEventListener('change', (e) => {
+            const input = e.target;
+            if (input.type !== 'checkbox' || !input.checked) return;
+
+            form.querySelectorAll(`input[name="${input.name}"]:checked`).forEach(other => {
+                if (other !== input && (input.dataset.exclusive === 'true' || other.dataset.exclusive === 'true')) {
+                    other.checked = false;
+                }
+            });
+        });
+
+        this.section.addEventListener('click', (e) => {
+            const link = e.target.closest('.triage-match a');
+            if (link && window.HealthCheckPro) {
+                window.HealthCheckPro.trackEvent('triage_tool_selected', {
+                    tool: link.dataset.tool,
+                    rank: Number(link.dataset.rank),
+                    prefilled: Number(link.dataset.prefilled)
+                });
+            }
+        });
+    }
+
+    renderForm() {
+        const form = this.section.querySelector('.triage-form');
+
+        form.innerHTML = `
+            ${this.data.questions.map(question => `
+                <fieldset class="triage-question">
+                    <legend>${this.escape(question.question)}${question.type === 'multi-choice' ? ' <span class="triage-hint">(choose any)</span>' : ''}</legend>
+                    ${question.options.map(option => `
+                        <label class="triage-option">
+                            <input type="${question.type === 'multi-choice' ? 'checkbox' : 'radio'}" name="${question.id}" value="${this.escape(option.value)}"${option.exclusive ? ' data-exclusive="true"' : ''}>
+                            <span>${this.escape(option.text)}</span>
+                        </label>
+                    `).join('')}
+                </fieldset>
+            `).join('')}
+            <div class="triage-actions">
+                <button type="submit" class="btn-primary">Suggest a checker</button>
+                <button type="reset" class="btn-secondary">Clear answers</button>
+            </div>
+        `;
+    }
+
+    getSelectedOptions() {
+        const form = this.section.querySelector('.triage-form');
+        const selected = [];
+
+        this.data.questions.forEach(question => {
+            form.querySelectorAll(`input[name="${question.id}"]:checked`).forEach(input => {
+                const option = question.options.find(o => o.value === input.value);
+                if (option) selected.push(option);
+            });
+        });
+
+        return selected;
+    }
+
+    async loadTools() {
+        if (this.tools) return this.tools;
+
+        // The tool cards on the page are the list of checkers; each one's
+        // quiz data carries the tags and target conditions used for ranking
+        const links = Array.from(document.querySelectorAll('.tool-card a.btn-primary'));
+        const tools = await Promise.all(links.map(async (link) => {
+            const href = link.getAttribute('href');
+            try {
+                const response = await fetch(`${href}quiz-data.json`);
+                if (!response.ok) return null;
+                const quizData = await response.json();
+                return {
+                    id: quizData.tool,
+                    href: href,
+                    title: quizData.title,
+                    description: quizData.description,
+                    tags: (quizData.metadata && quizData.metadata.tags) || [],
+                    targetConditions: (quizData.metadata && quizData.metadata.targetConditions) || []
+                };
+            } catch (error) {
+                return null;
+            }
+        }));
+
+        this.tools = tools.filter(Boolean);
+        return this.tools;
+    }
+
+    rankTools(tools, selected) {
+        return tools
+            .map((tool, order) => {
+                const reasons = [];
+                let score = 0;
+
+                selected.forEach(option => {
+                    const matches = (option.tags || []).filter(tag => tool.tags.includes(tag)).length;
+                    if (matches > 0) {
+                        score += matches * (option.weight || 1);
+                        reasons.push(option.text);
+                    }
+                });
+
+                return { tool, score, reasons, order };
+            })
+            .filter(match => match.score > 0)
+            .sort((a, b) => b.score - a.score || a.order - b.order);
+    }
+
+    getPrefillEntries(tool, selected) {
+        return selected
+            .map(option => option.prefill && option.prefill[tool.id])
+            .filter(Boolean);
+    }
+
+    getToolUrl(tool, entries) {
+        if (entries.length === 0) return tool.href;
+
+        // Same fragment encoding as SymptomChecker share links, under "#p="
+        const encoded = btoa(unescape(encodeURIComponent(JSON.stringify({ a: entries }))))
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+
+        return `${tool.href}#p=${encoded}`;
+    }
+
+    async showMatches() {
+        const results = this.section.querySelector('.triage-results');
+        const selected = this.getSelectedOptions();
+
+        if (selected.length === 0) {
+            results.innerHTML = '<p class="triage-message">Choose at least one answer to get a suggestion.</p>';
+            results.hidden = false;
+            return;
+        }
+
+        const ranked = this.rankTools(await this.loadTools(), selected).slice(0, this.maxMatches);
+
+        results.innerHTML = `
+            <p class="triage-emergency"><strong>Severe symptoms?</strong> If you have trouble breathing, chest pain, confusion or fainting, call emergency services now instead of using a checker.</p>
+            ${ranked.length === 0 ? `
+                <p class="triage-message">None of our checkers matches these answers closely. You can still browse all of them below, or talk to a healthcare provider.</p>
+            ` : `
+                <h4>Suggested checkers</h4>
+                <ol class="triage-matches">
+                    ${ranked.map((match, index) => this.renderMatch(match, index, selected)).join('')}
+                </ol>
+            `}
+        `;
+        results.hidden = false;
+        results.focus();
+
+        if (window.HealthCheckPro) {
+            window.HealthCheckPro.trackEvent('triage_completed', {
+                answers: selected.length,
+                matches: ranked.map(match => match.tool.id)
+            });
+        }
+    }
+
+    renderMatch(match, index, selected) {
+        const tool = match.tool;
+        const entries = this.getPrefillEntries(tool, selected);
+
+        return `
+            <li class="triage-match">
+                <h5>${this.escape(tool.title)}</h5>
+                <p>${this.escape(tool.description)}</p>
+                <p class="triage-reason">Matches: ${match.reasons.map(reason => this.escape(reason)).join('; ')}</p>
+                ${tool.targetConditions.length ? `<p class="triage-conditions">Looks at: ${tool.targetConditions.map(c => this.escape(c)).join(', ')}</p>` : ''}
+                <a href="${this.escape(this.getToolUrl(tool, entries))}" class="btn-primary" data-tool="${this.escape(tool.id)}" data-rank="${index + 1}" data-prefilled="${entries.length}">Start ${this.escape(tool.title)}</a>
+                ${entries.length ? `<span class="triage-prefill-note">${entries.length} answer${entries.length === 1 ? '' : 's'} will be filled in for you to check</span>` : ''}
+            </li>
+        `;
+    }
+
+    escape(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Initialize triage when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.triageFlow = new TriageFlow();
+});
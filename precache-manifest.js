@@ -0,0 +1,57 @@
+// Generated by scripts/build-precache.js from the files it lists; do not edit.
+self.PRECACHE_VERSION = '08ef7360593a';
+self.PRECACHE_MANIFEST = [
+    { url: '/', revision: 'a37a267b061b' },
+    { url: '/404.html', revision: '454dec4ebc12' },
+    { url: '/assets/css/blog.css', revision: 'b66fb5f56225' },
+    { url: '/assets/css/history.css', revision: 'e1f73a3a6116' },
+    { url: '/assets/css/main.css', revision: 'af18a69daa46' },
+    { url: '/assets/css/responsive.css', revision: 'bf1d1d441ca0' },
+    { url: '/assets/css/tools.css', revision: 'b16d2ff89036' },
+    { url: '/assets/css/triage.css', revision: 'bc76dd75d35b' },
+    { url: '/assets/js/accessibility.js', revision: '5a973a87f52e' },
+    { url: '/assets/js/analytics-config.js', revision: '7e903724e425' },
+    { url: '/assets/js/analytics.js', revision: '41a409dc61d7' },
+    { url: '/assets/js/assessment-history.js', revision: '396fe995461b' },
+    { url: '/assets/js/blog.js', revision: 'ad3d848bef2f' },
+    { url: '/assets/js/consent.js', revision: '0ec06e159da5' },
+    { url: '/assets/js/crisis-resources.js', revision: '0f95a54565b0' },
+    { url: '/assets/js/emergency-directory.js', revision: 'c7e3b80d9050' },
+    { url: '/assets/js/event-bus.js', revision: '850deb9f3e56' },
+    { url: '/assets/js/fhir-export.js', revision: '81b80d2b296d' },
+    { url: '/assets/js/health-profile.js', revision: '098125807ce0' },
+    { url: '/assets/js/history-page.js', revision: '8d78a7845937' },
+    { url: '/assets/js/i18n.js', revision: 'ff207a505af1' },
+    { url: '/assets/js/main.js', revision: 'b71be96adbf7' },
+    { url: '/assets/js/offline.js', revision: '6f3f5f1a6217' },
+    { url: '/assets/js/quiz-renderer.js', revision: '1f6a023f58fb' },
+    { url: '/assets/js/quiz-report.js', revision: '3c6cfbe342c8' },
+    { url: '/assets/js/quiz-validator.js', revision: '325f4c2ca530' },
+    { url: '/assets/js/symptom-checker.js', revision: '4656c2ed4b08' },
+    { url: '/assets/js/telemetry-scrubber.js', revision: '9bf910310b37' },
+    { url: '/assets/js/triage.js', revision: '626f7e25c6b4' },
+    { url: '/blog/', revision: 'add80dcf70b9' },
+    { url: '/blog/covid-19-symptoms-guide/', revision: '14333c7de4ae' },
+    { url: '/history/', revision: 'a9daa4ad8862' },
+    { url: '/manifest.json', revision: '2d1f4b6e1287' },
+    { url: '/schemas/quiz-data.schema.json', revision: '5046ee80b8d3' },
+    { url: '/tools/anxiety-symptom-checker/', revision: 'e93295026f26' },
+    { url: '/tools/anxiety-symptom-checker/quiz-data.json', revision: '97989cd01e5e' },
+    { url: '/tools/asthma-symptom-checker/', revision: '3856fbe65a53' },
+    { url: '/tools/asthma-symptom-checker/quiz-data.json', revision: '3a10e64b4123' },
+    { url: '/tools/covid-19-symptom-checker/', revision: '2bc884968a43' },
+    { url: '/tools/covid-19-symptom-checker/quiz-data.ar.json', revision: '7008133efa74' },
+    { url: '/tools/covid-19-symptom-checker/quiz-data.es.json', revision: '95024b788962' },
+    { url: '/tools/covid-19-symptom-checker/quiz-data.json', revision: 'f019bb56825e' },
+    { url: '/tools/dizziness-symptom-checker/', revision: '305c07b7962a' },
+    { url: '/tools/dizziness-symptom-checker/quiz-data.json', revision: '23c93f47a027' },
+    { url: '/tools/food-poisoning-symptom-checker/', revision: 'e5d0baa7d530' },
+    { url: '/tools/food-poisoning-symptom-checker/quiz-data.json', revision: '6915de8a3e72' },
+    { url: '/tools/gastroenteritis-symptom-checker/', revision: '29a849ba6539' },
+    { url: '/tools/gastroenteritis-symptom-checker/quiz-data.json', revision: '8740df820fa0' },
+    { url: '/tools/ibs-symptom-checker/', revision: '313264d1141f' },
+    { url: '/tools/ibs-symptom-checker/quiz-data.json', revision: '18895efa2b50' },
+    { url: '/tools/triage.json', revision: '4f722507afe5' },
+    { url: '/tools/uti-symptom-checker/', revision: '8e88aeaed740' },
+    { url: '/tools/uti-symptom-checker/quiz-data.json', revision: 'da303c7f2e36' }
+];
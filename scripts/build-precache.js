@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * HealthCheckPro - Precache Manifest Generator
+ * Writes precache-manifest.js, the list of files sw.js stores for offline
+ * use: every page, the scripts, styles and images those pages load, the
+ * quiz data and its schema. Each file carries a hash of its contents, and
+ * the version is a hash of the whole list, so any change to the site gives
+ * the service worker a new cache and the open pages an update prompt.
+ * Run it after build-tool-pages.js and before deploying.
+ *
+ * Usage: node scripts/build-precache.js [--check]
+ *   --check  exit with an error if the manifest is out of date instead of writing
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const root = path.resolve(__dirname, '..');
+const output = path.join(root, 'precache-manifest.js');
+
+const hash = content => crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+
+// Directories that hold an index.html, served at their own URL
+function findPages() {
+    const pages = ['index.html', '404.html'];
+    ['tools', 'blog', 'history'].forEach(dir => {
+        const walk = relative => {
+            if (fs.existsSync(path.join(root, relative, 'index.html'))) {
+                pages.push(path.join(relative, 'index.html'));
+            }
+            fs.readdirSync(path.join(root, relative), { withFileTypes: true })
+                .filter(entry => entry.isDirectory())
+                .forEach(entry => walk(path.join(relative, entry.name)));
+        };
+        walk(dir);
+    });
+    return pages.map(file => file.split(path.sep).join('/'));
+}
+
+// Local scripts, stylesheets and images a page loads; links to other pages
+// are left out as they are already in the list
+function findAssets(page) {
+    const html = fs.readFileSync(path.join(root, page), 'utf8');
+    const assets = [];
+    const pattern = /<(?:script|img)\b[^>]*\ssrc="([^"]+)"|<link\b[^>]*\shref="([^"]+)"/g;
+    let match;
+
+    while ((match = pattern.exec(html))) {
+        const ref = (match[1] || match[2]).split(/[?#]/)[0];
+        if (/^(?:[a-z]+:)?\/\//i.test(ref) || ref.startsWith('data:')) continue;
+
+        const file = ref.startsWith('/')
+            ? ref.slice(1)
+            : path.posix.normalize(path.posix.join(path.posix.dirname(page), ref));
+        if (/\.(?:js|css|json|png|jpe?g|svg|webp|ico)$/.test(file) && fs.existsSync(path.join(root, file))) {
+            assets.push(file);
+        }
+    }
+    return assets;
+}
+
+// What the quiz engine and the homepage triage fetch at runtime, including
+// the schema the engine checks quiz data against
+function findData() {
+    const toolsDir = path.join(root, 'tools');
+    const schemasDir = path.join(root, 'schemas');
+    const files = fs.existsSync(path.join(toolsDir, 'triage.json')) ? ['tools/triage.json'] : [];
+
+    if (fs.existsSync(schemasDir)) {
+        fs.readdirSync(schemasDir)
+            .filter(file => file.endsWith('.json'))
+            .forEach(file => files.push(`schemas/${file}`));
+    }
+
+    fs.readdirSync(toolsDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .forEach(entry => {
+            fs.readdirSync(path.join(toolsDir, entry.name))
+                .filter(file => /^quiz-data(?:\.[a-z-]+)?\.json$/i.test(file))
+                .forEach(file => files.push(`tools/${entry.name}/${file}`));
+        });
+    return files;
+}
+
+// tools/uti-symptom-checker/index.html is requested as /tools/uti-symptom-checker/
+function toUrl(file) {
+    return '/' + file.replace(/(^|\/)index\.html$/, '$1');
+}
+
+function buildManifest() {
+    const pages = findPages();
+    const files = new Set(pages);
+    pages.forEach(page => findAssets(page).forEach(file => files.add(file)));
+    findData().forEach(file => files.add(file));
+    if (fs.existsSync(path.join(root, 'manifest.json'))) files.add('manifest.json');
+
+    const entries = [...files]
+        .map(file => ({ url: toUrl(file), revision: hash(fs.readFileSync(path.join(root, file))) }))
+        .sort((a, b) => a.url.localeCompare(b.url));
+    const version = hash(entries.map(entry => `${entry.url} ${entry.revision}`).join('\n'));
+
+    return [
+        '// Generated by scripts/build-precache.js from the files it lists; do not edit.',
+        `self.PRECACHE_VERSION = '${version}';`,
+        'self.PRECACHE_MANIFEST = [',
+        entries.map(entry => `    { url: '${entry.url}', revision: '${entry.revision}' }`).join(',\n'),
+        '];',
+        ''
+    ].join('\n');
+}
+
+const check = process.argv.includes('--check');
+const manifest = buildManifest();
+const current = fs.existsSync(output) ? fs.readFileSync(output, 'utf8') : '';
+const count = manifest.split('\n').filter(line => line.startsWith('    { url:')).length;
+
+if (manifest === current) {
+    console.log(`✓ precache-manifest.js is up to date (${count} files)`);
+} else if (check) {
+    console.log('✗ precache-manifest.js is out of date');
+    console.log('\nRun node scripts/build-precache.js to regenerate it.');
+    process.exit(1);
+} else {
+    fs.writeFileSync(output, manifest);
+    console.log(`✎ precache-manifest.js written (${count} files)`);
+}
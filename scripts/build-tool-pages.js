@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+/**
+ * HealthCheckPro - Tool Page Generator
+ * Writes tools/<tool>/index.html for every quiz-data.json that has a "page"
+ * section, from templates/tool-page.html. Questions, warning lists and the
+ * results skeleton all come from the quiz data, so a new checker only needs
+ * its JSON file. Edit the data or the template, not the generated pages.
+ *
+ * Usage: node scripts/build-tool-pages.js [--check] [tool ...]
+ *   --check  exit with an error if any page is out of date instead of writing
+ */
+
+const fs = require('fs');
+const path = require('path');
+const QuizRenderer = require('../assets/js/quiz-renderer.js');
+
+const root = path.resolve(__dirname, '..');
+const siteUrl = 'https://healthcheckpro.com';
+const template = fs.readFileSync(path.join(root, 'templates/tool-page.html'), 'utf8');
+const renderer = new QuizRenderer();
+const escape = value => renderer.escape(value);
+
+function buildStructuredData(quizData, page, url) {
+    const data = {
+        '@context': 'https://schema.org',
+        '@type': 'MedicalWebPage',
+        name: page.heading,
+        description: page.structuredData.description,
+        url: url,
+        mainContentOfPage: {
+            '@type': 'HealthTopicContent',
+            hasHealthAspect: page.structuredData.healthAspects
+        },
+        breadcrumb: {
+            '@type': 'BreadcrumbList',
+            itemListElement: [
+                { '@type': 'ListItem', position: 1, name: 'Home', item: siteUrl },
+                { '@type': 'ListItem', position: 2, name: 'Health Tools', item: `${siteUrl}/tools/` },
+                { '@type': 'ListItem', position: 3, name: page.heading, item: url }
+            ]
+        },
+        author: {
+            '@type': 'Organization',
+            name: 'HealthCheckPro'
+        },
+        dateModified: quizData.metadata.lastUpdated,
+        inLanguage: 'en-US'
+    };
+
+    // Escaped so text in the data can never close the script tag
+    return JSON.stringify(data, null, 4).replace(/</g, '\\u003c').split('\n');
+}
+
+function buildQuestions(quizData) {
+    const total = quizData.questions.length;
+    const lines = [];
+
+    quizData.questions.forEach((question, index) => {
+        if (index > 0) lines.push('');
+        lines.push(`<!-- Question ${index + 1} -->`);
+        lines.push(...renderer.renderQuestion(question, index, `Question ${index + 1} of ${total}`, index === 0).split('\n'));
+    });
+
+    return lines;
+}
+
+function buildEmergency(quizData, page) {
+    const emergency = page.emergency;
+    const symptoms = quizData.emergencySymptoms || quizData.warningSymptoms || [];
+    const lines = [
+        `<h4 data-i18n-page="emergency.heading">${escape(emergency.heading)}</h4>`,
+        `<p data-i18n-page="emergency.text">${escape(emergency.text)}</p>`
+    ];
+
+    if (emergency.call) {
+        lines.push(`<p class="emergency-call"><a href="${escape(emergency.call.href)}" data-i18n-page="emergency.call.text">${escape(emergency.call.text)}</a></p>`);
+    }
+
+    // SymptomChecker.displayRedFlags() fills this in again with any red flags
+    if (symptoms.length) {
+        lines.push(
+            '<div class="red-flag-details">',
+            '    <p class="red-flag-symptoms-title" data-i18n="redFlagSymptoms">Get emergency help right away if you notice:</p>',
+            '    <ul class="red-flag-symptoms">',
+            ...symptoms.map(symptom => `        <li>${escape(symptom)}</li>`),
+            '    </ul>',
+            '</div>'
+        );
+    }
+
+    return lines;
+}
+
+function buildResources(page) {
+    if (!page.resources) return [];
+
+    return [
+        `<!-- ${page.resources.heading.replace(/^\W+/u, '')} -->`,
+        '<section class="tool-resources">',
+        '    <div class="container">',
+        `        <h3>${escape(page.resources.heading)}</h3>`,
+        '        <div class="tool-resources-grid">',
+        ...page.resources.items.flatMap(item => [
+            '            <div class="tool-resource">',
+            `                <h4>${escape(item.title)}</h4>`,
+            // Resource lines may contain inline markup such as <strong>
+            ...item.lines.map(line => `                <p>${line}</p>`),
+            '            </div>'
+        ]),
+        '        </div>',
+        '    </div>',
+        '</section>',
+        ''
+    ];
+}
+
+function buildPage(quizData) {
+    const page = quizData.page;
+    const url = `${siteUrl}/tools/${quizData.tool}/`;
+    const total = quizData.questions.length;
+
+    const values = {
+        metaTitle: escape(page.metaTitle),
+        metaDescription: escape(page.metaDescription),
+        keywords: escape(page.keywords),
+        ogTitle: escape(page.ogTitle),
+        ogDescription: escape(page.ogDescription),
+        url: url,
+        structuredData: buildStructuredData(quizData, page, url),
+        breadcrumb: escape(page.breadcrumb || page.heading),
+        icon: page.icon,
+        heading: escape(page.heading),
+        intro: escape(page.intro),
+        toolMeta: [`📋 ${page.duration}`, `❓ ${total} questions`, ...page.badges].map(text => `<span>${escape(text)}</span>`),
+        firstLabel: `Question 1 of ${total}`,
+        // Instructions may contain inline markup such as <strong>
+        instructions: page.instructions ? [
+            '<!-- Quiz Instructions -->',
+            '<div class="quiz-instructions">',
+            `    <p>${page.instructions}</p>`,
+            '</div>',
+            ''
+        ] : [],
+        questions: buildQuestions(quizData),
+        resultsHeading: escape(page.results.heading),
+        resultsIntro: escape(page.results.intro),
+        scoreLabel: escape(page.results.scoreLabel),
+        emergency: buildEmergency(quizData, page),
+        learnMore: `<a href="${escape(page.learnMore.href)}" class="btn-primary" data-i18n-page="learnMore.text">${escape(page.learnMore.text)}</a>`,
+        resources: buildResources(page),
+        relatedHeading: escape(page.related.heading),
+        relatedArticles: page.related.articles.flatMap(article => [
+            '<div class="related-card">',
+            `    <h3><a href="${escape(article.href)}">${escape(article.title)}</a></h3>`,
+            `    <p>${escape(article.description)}</p>`,
+            '</div>'
+        ]),
+        disclaimerHeading: escape(page.disclaimer.heading),
+        disclaimer: escape(page.disclaimer.text)
+    };
+
+    return template.split('\n').flatMap(line => {
+        // A placeholder on a line of its own takes a block of lines at that indent
+        const block = line.match(/^(\s*)\{\{(\w+)\}\}$/);
+        if (block) {
+            const lines = [].concat(value(values, block[2]));
+            return lines.map(l => (l ? block[1] + l : l));
+        }
+        return [line.replace(/\{\{(\w+)\}\}/g, (match, key) => value(values, key))];
+    }).join('\n');
+}
+
+function value(values, key) {
+    if (!values.hasOwnProperty(key)) {
+        throw new Error(`templates/tool-page.html uses unknown placeholder {{${key}}}`);
+    }
+    return values[key];
+}
+
+const args = process.argv.slice(2);
+const check = args.includes('--check');
+const only = args.filter(arg => arg !== '--check');
+const toolsDir = path.join(root, 'tools');
+let stale = 0;
+
+fs.readdirSync(toolsDir)
+    .filter(tool => fs.existsSync(path.join(toolsDir, tool, 'quiz-data.json')))
+    .filter(tool => only.length === 0 || only.includes(tool))
+    .forEach(tool => {
+        const quizData = JSON.parse(fs.readFileSync(path.join(toolsDir, tool, 'quiz-data.json'), 'utf8'));
+        if (!quizData.page) {
+            console.log(`- tools/${tool} has no "page" section, skipped`);
+            return;
+        }
+
+        const file = path.join(toolsDir, tool, 'index.html');
+        const html = buildPage(quizData);
+        const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+
+        if (html === current) {
+            console.log(`✓ tools/${tool}/index.html is up to date`);
+        } else if (check) {
+            stale++;
+            console.log(`✗ tools/${tool}/index.html is out of date`);
+        } else {
+            fs.writeFileSync(file, html);
+            console.log(`✎ tools/${tool}/index.html written`);
+        }
+    });
+
+if (stale) {
+    console.log('\nRun node scripts/build-tool-pages.js to regenerate them.');
+}
+process.exit(stale ? 1 : 0);
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * HealthCheckPro - Collector Smoke Check
+ * Starts server/collector.js on a free port with a throwaway data
+ * directory, sends a quiz run the way the site's collector sink does, and
+ * fails unless /api/report and /api/funnel count it, oversized, broken
+ * or empty requests are turned away and small funnel cells are held back.
+ *
+ * Usage: node scripts/check-collector.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCollector, sanitizeEvent, buildFunnel } = require('../server/collector.js');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'healthcheckpro-collector-'));
+const server = createCollector({ dataDir: dataDir, minCount: 1 });
+
+// One run through a two-question quiz, as collectorSink batches it
+const run = { tool: 'covid-19', version: '1.0', run: 'smoke-run' };
+const events = [
+    ['quiz_started', { elapsed_ms: 0 }],
+    ['quiz_question_shown', { question: '1', question_index: 0, elapsed_ms: 10 }],
+    ['quiz_question_answered', { question: '1', question_index: 0, dwell_ms: 3000, elapsed_ms: 3010 }],
+    ['quiz_question_shown', { question: '2', question_index: 1, elapsed_ms: 3020 }],
+    ['quiz_question_answered', { question: '2', question_index: 1, dwell_ms: 5000, elapsed_ms: 8020 }],
+    ['quiz_completed', { elapsed_ms: 8030 }]
+].map(([name, props]) => ({
+    name: name,
+    props: Object.assign({ event_label: run.tool }, run, props),
+    sessionId: 'smoke-session',
+    ts: Date.now()
+}));
+
+let failed = 0;
+let total = 0;
+function report(label, errors) {
+    total++;
+    if (errors.length) {
+        failed++;
+        console.log(`✗ ${label}`);
+        errors.forEach(error => console.log(`    ${error}`));
+    } else {
+        console.log(`✓ ${label}`);
+    }
+}
+
+async function request(base, method, pathname, body) {
+    const response = await fetch(base + pathname, {
+        method: method,
+        headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+        body: body
+    });
+    let json = null;
+    try {
+        json = await response.json();
+    } catch (e) {
+        // Checked by the caller through the status
+    }
+    return { status: response.status, json: json };
+}
+
+async function main(base) {
+    const collected = await request(base, 'POST', '/api/collect', JSON.stringify({ events: events }));
+    report('POST /api/collect stores a batch', collected.status === 202 && collected.json.accepted === events.length
+        ? [] : [`got ${collected.status} ${JSON.stringify(collected.json)}`]);
+
+    const counts = await request(base, 'GET', '/api/report');
+    const errors = [];
+    if (counts.status !== 200) errors.push(`got ${counts.status}`);
+    else if (counts.json.totalEvents !== events.length) errors.push(`counted ${counts.json.totalEvents} of ${events.length} events`);
+    else if (counts.json.events.quiz_question_answered !== 2) errors.push(`quiz_question_answered counted ${counts.json.events.quiz_question_answered} times`);
+    report('GET /api/report counts the events', errors);
+
+    const funnel = await request(base, 'GET', '/api/funnel?tool=covid-19');
+    const tool = funnel.json && funnel.json.tools && funnel.json.tools[0];
+    const funnelErrors = [];
+    if (funnel.status !== 200 || !tool) funnelErrors.push(`got ${funnel.status} ${JSON.stringify(funnel.json)}`);
+    else {
+        if (tool.runs !== 1 || tool.completed !== 1) funnelErrors.push(`${tool.runs} runs, ${tool.completed} completed`);
+        if (tool.questions.map(question => question.medianDwellMs).join() !== '3000,5000') {
+            funnelErrors.push(`median dwell ${tool.questions.map(question => question.medianDwellMs).join()}`);
+        }
+    }
+    report('GET /api/funnel reports the run per question', funnelErrors);
+
+    // Two runs with minCount 2: only the second question's counts are small
+    const stopped = events.slice(0, 3).map(event => Object.assign({}, event, {
+        props: Object.assign({}, event.props, { run: 'smoke-run-2' })
+    }));
+    const stored = events.concat(stopped).map(event => sanitizeEvent(event));
+    const small = buildFunnel({ forEach: (from, to, callback) => stored.forEach(callback) }, { minCount: 2 }).tools[0];
+    const smallErrors = [];
+    if (!small) smallErrors.push('the tool was left out');
+    else {
+        const [first, second] = small.questions;
+        if (first.reached !== 2 || first.answered !== 2) smallErrors.push(`first question ${JSON.stringify(first)}`);
+        if (small.completed !== null || second.reached !== null || second.answered !== null || second.medianDwellMs !== null) {
+            smallErrors.push(`${small.completed} completed, second question ${JSON.stringify(second)}`);
+        }
+    }
+    report('the funnel holds back per-question counts below minCount', smallErrors);
+
+    const tooLarge = await request(base, 'POST', '/api/collect', JSON.stringify({ events: [{ name: 'quiz_started', props: { padding: 'x'.repeat(70 * 1024) } }] }));
+    report('a body over 64 KB gets 413', tooLarge.status === 413 ? [] : [`got ${tooLarge.status}`]);
+
+    const broken = await request(base, 'POST', '/api/collect', '{"events": [');
+    report('a body that isn\'t JSON gets 400', broken.status === 400 ? [] : [`got ${broken.status}`]);
+
+    const empty = await request(base, 'POST', '/api/collect', JSON.stringify({ events: [] }));
+    report('an empty batch gets 400', empty.status === 400 ? [] : [`got ${empty.status}`]);
+
+    const badDate = await request(base, 'GET', '/api/report?from=yesterday');
+    report('a report with a bad date gets 400', badDate.status === 400 ? [] : [`got ${badDate.status}`]);
+
+    const afterErrors = await request(base, 'GET', '/api/report');
+    report('rejected requests store nothing', afterErrors.json && afterErrors.json.totalEvents === events.length
+        ? [] : [`${afterErrors.json && afterErrors.json.totalEvents} events stored`]);
+}
+
+server.listen(0, '127.0.0.1', () => {
+    main(`http://127.0.0.1:${server.address().port}`)
+        .catch(error => {
+            failed++;
+            console.log(`✗ ${error.message}`);
+        })
+        .finally(() => {
+            server.close();
+            fs.rmSync(dataDir, { recursive: true, force: true });
+            console.log(`\n${total - failed} of ${total} collector checks passed`);
+            process.exit(failed ? 1 : 0);
+        });
+});
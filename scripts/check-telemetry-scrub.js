@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * HealthCheckPro - Telemetry Scrub Check
+ * Sends every event in EventBus.schema through the bus, once with the data
+ * the site really sends and once stuffed with answers, free text, emails,
+ * share links and nested objects, and fails if an outbound sink (collector,
+ * GA) receives a field that isn't on the TelemetryScrubber allow list, a
+ * value that doesn't pass its rule, a raw score, a blocked event or a sign
+ * that a question behind showIf was shown.
+ *
+ * Usage: node scripts/check-telemetry-scrub.js
+ */
+
+const EventBus = require('../assets/js/event-bus.js');
+const TelemetryScrubber = require('../assets/js/telemetry-scrubber.js');
+
+// The bus reads consent and the scrubber from window, as in the browser
+global.window = {
+    healthConsent: { isGranted: () => true },
+    TelemetryScrubber: TelemetryScrubber
+};
+
+const received = [];
+const local = [];
+
+function createBus() {
+    const bus = new EventBus();
+    bus.addSink({ name: 'local', category: 'necessary', send: record => local.push(record) });
+    ['collector', 'ga'].forEach(name => {
+        bus.addSink({ name: name, category: 'analytics', outbound: true, send: record => received.push({ sink: name, record: record }) });
+    });
+    return bus;
+}
+
+// What the site sends today (see analytics.js, symptom-checker.js, blog.js)
+const realistic = {
+    tool_access: { event_category: 'Health Tools', event_label: 'Covid 19', custom_parameter_1: 'Covid 19' },
+    quiz_progress: { event_category: 'Symptom Assessment', event_label: 'covid-19', custom_parameter_1: 'covid-19', custom_parameter_2: 'respiratory', value: 4 },
+    assessment_completed: { event_category: 'Symptom Assessment', event_label: 'covid-19', custom_parameter_1: 'covid-19', custom_parameter_3: '100', custom_parameter_4: 'high', value: 37 },
+    health_concern_analysis: { event_category: 'Health Analytics', event_label: 'high', custom_parameter_4: 'high', non_interaction: false },
+    user_engagement: { event_category: 'Engagement', event_label: 'Active Time', value: 60, non_interaction: true },
+    scroll_depth: { event_category: 'Engagement', event_label: '75%', value: 75, non_interaction: true },
+    ui_interaction: { event_category: 'UI Elements', event_label: 'button', custom_parameter_1: 'answer-btn selected', non_interaction: false },
+    web_vitals: { event_category: 'Web Vitals', event_label: 'LCP', value: 1834.6, rating: 'good', non_interaction: true },
+    quiz_question_answered: { tool: 'covid-19', version: '1.0', run: 'mvflk5vj-gc5d90', question: '3', question_index: 2, dwell_ms: 4120, elapsed_ms: 15300, answer: 'yes', weight: 3 },
+    quiz_completed: { tool: 'covid-19', version: '1.0', run: 'mvflk5vj-gc5d90', elapsed_ms: 61000, risk_level: 'high', total_score: 37, responses: [{ question: '1', value: 'yes', weight: 3 }] },
+    quiz_abandoned: { tool: 'covid-19', version: '1.0', run: 'mvflk5vj-gc5d90', question: '5', question_index: 4, elapsed_ms: 20000, reason: 'left' }
+};
+
+// Values that must never leave the device, put in every field we can think of
+const hostileValues = [
+    'I have had chest pain since Tuesday',
+    'jane.doe@example.com',
+    'https://healthcheckpro.example/tools/covid-19-symptom-checker/#r=eyJ2IjoxfQ',
+    'answer-btn selected severe-pain',
+    '<script>alert(1)</script>',
+    { nested: { value: 'yes' } },
+    ['yes', 'no'],
+    -1,
+    NaN
+];
+
+function hostile(name, index) {
+    const fields = new Set(Object.keys(realistic[name] || {}).concat(
+        TelemetryScrubber.allowedFields(name),
+        ['answer', 'value', 'text', 'class', 'email', 'url', 'responses', 'risk_level', 'riskLevel', 'custom_parameter_4', 'search_term', 'x', 'y']
+    ));
+    const data = {};
+    [...fields].forEach((field, offset) => {
+        data[field] = hostileValues[(index + offset) % hostileValues.length];
+    });
+    return data;
+}
+
+function check(record, errors) {
+    const name = record.event;
+    const allowed = TelemetryScrubber.allowedFields(name);
+    const rules = Object.assign({}, TelemetryScrubber.common, TelemetryScrubber.events[name]);
+
+    if (TelemetryScrubber.blocked.includes(name)) {
+        errors.push(`${name} is blocked but was sent`);
+        return;
+    }
+
+    Object.keys(record.data).forEach(field => {
+        const value = record.data[field];
+
+        if (!allowed.includes(field)) {
+            errors.push(`${name}.${field} is not on the allow list`);
+        } else if (rules[field] === 'band') {
+            if (!/^\d+-\d+$/.test(value)) errors.push(`${name}.${field} = ${JSON.stringify(value)} is not a band`);
+        } else if (TelemetryScrubber.applyRule(rules[field], value) !== value) {
+            errors.push(`${name}.${field} = ${JSON.stringify(value)} does not pass rule ${JSON.stringify(rules[field])}`);
+        } else if (typeof value === 'string' && /[@#/<>]/.test(value)) {
+            errors.push(`${name}.${field} = ${JSON.stringify(value)} looks like an address, link or markup`);
+        }
+    });
+}
+
+let failed = 0;
+function report(label, errors) {
+    if (errors.length) {
+        failed++;
+        console.log(`✗ ${label}`);
+        errors.forEach(error => console.log(`    ${error}`));
+    } else {
+        console.log(`✓ ${label}`);
+    }
+}
+
+Object.keys(EventBus.schema).forEach((name, index) => {
+    const bus = createBus();
+    received.length = 0;
+    local.length = 0;
+
+    bus.emit(name, realistic[name] || {});
+    bus.emit(name, hostile(name, index));
+
+    const errors = [];
+    received.forEach(({ record }) => check(record, errors));
+
+    if (!TelemetryScrubber.blocked.includes(name) && received.length !== 4) {
+        errors.push(`expected both events at both outbound sinks, got ${received.length} deliveries`);
+    }
+    if (local.length !== 2) {
+        errors.push('the local sink should still get every event unscrubbed');
+    }
+
+    report(name, errors);
+});
+
+// Scores are only ever sent as bands
+const banded = TelemetryScrubber.scrub('assessment_completed', { value: 37 });
+report('assessment scores are banded', banded.value === '30-39' ? [] : [`37 was sent as ${JSON.stringify(banded.value)}`]);
+
+// A question behind showIf is only shown after certain answers or to certain
+// people (dizziness q9 to those 65 and over), so nothing sent may say it was reached
+global.document = new EventTarget();
+const HealthCheckAnalytics = require('../assets/js/analytics.js');
+const analytics = new HealthCheckAnalytics({ collectorUrl: '/api/collect', thirdParty: false });
+analytics.events = createBus();
+analytics.trackConversionFunnels();
+analytics.trackSymptomCheckerUsage();
+received.length = 0;
+
+const run = { toolName: 'dizziness-symptom-checker', quizVersion: '1.0', runId: 'mvflk5vj-gc5d90', elapsedMs: 20000 };
+const conditional = Object.assign({ questionId: 9, questionIndex: 8, questionNumber: 9, category: 'falls', conditional: true, commonIndex: null, dwellMs: 3000 }, run);
+const common = Object.assign({ questionId: 2, questionIndex: 1, questionNumber: 2, category: 'pattern', conditional: false, commonIndex: 1, dwellMs: 3000 }, run);
+['quiz_question_shown', 'quiz_question_answered', 'quiz_answer_changed', 'quiz_back'].forEach(name => {
+    document.dispatchEvent(new CustomEvent(name, { detail: conditional }));
+});
+document.dispatchEvent(new CustomEvent('quiz_abandoned', { detail: Object.assign({ reason: 'left' }, conditional) }));
+const conditionalErrors = received
+    .filter(({ record }) => record.event !== 'quiz_abandoned' || 'question' in record.data || 'question_index' in record.data)
+    .map(({ sink, record }) => `${sink} got ${record.event} ${JSON.stringify(record.data)}`);
+
+received.length = 0;
+document.dispatchEvent(new CustomEvent('quiz_question_shown', { detail: common }));
+const shown = received.find(({ record }) => record.event === 'quiz_question_shown');
+if (!shown || shown.record.data.question !== 2 || shown.record.data.question_index !== 1) {
+    conditionalErrors.push(`a question everyone gets should still be reported, got ${JSON.stringify(shown && shown.record.data)}`);
+}
+report('conditional questions stay on the device', conditionalErrors);
+
+// Without the scrubber nothing is allowed out
+delete global.window.TelemetryScrubber;
+received.length = 0;
+createBus().emit('quiz_started', realistic.quiz_completed);
+report('nothing is sent when the scrubber is missing', received.length ? [`${received.length} events were sent`] : []);
+
+const total = Object.keys(EventBus.schema).length + 3;
+console.log(`\n${total - failed} of ${total} telemetry checks passed`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * HealthCheckPro - Quiz Funnel Report
+ * Prints, for each tool, how many runs reached each question, how many
+ * stopped there and the median time to answer it, from the events stored
+ * by server/collector.js. The same numbers are served at /api/funnel.
+ *
+ * Usage: node scripts/funnel-report.js [--data-dir server/data]
+ *                                      [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+ *                                      [--min-count 5] [tool]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FileStore, buildFunnel } = require('../server/collector.js');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? fallback : args[index + 1];
+};
+const tool = args.filter((arg, index) => !arg.startsWith('--') && !(index > 0 && args[index - 1].startsWith('--')))[0];
+
+const dataDir = path.resolve(option('data-dir', path.join(__dirname, '..', 'server', 'data')));
+if (!fs.existsSync(dataDir)) {
+    console.log(`No collected events in ${path.relative(process.cwd(), dataDir) || dataDir}`);
+    process.exit(1);
+}
+
+const funnel = buildFunnel(new FileStore(dataDir), {
+    from: option('from', null),
+    to: option('to', null),
+    minCount: Number(option('min-count', 5)),
+    tool: tool
+});
+
+// Counts under --min-count come back as null and print as "-"
+const count = value => (value === null ? '-' : String(value));
+const seconds = ms => (ms === null ? '-' : `${(ms / 1000).toFixed(1)}s`);
+const percent = rate => (rate === null ? '-' : `${Math.round(rate * 100)}%`);
+
+funnel.tools.forEach(entry => {
+    console.log(`\n${entry.tool}: ${entry.runs} runs, ${count(entry.completed)} completed (${percent(entry.completionRate)})`);
+    console.log('  question              reached  answered  dropped  median time');
+    entry.questions.forEach(question => {
+        console.log(`  ${question.questionId.padEnd(20)}  ${count(question.reached).padStart(7)}  ${count(question.answered).padStart(8)}  ${`${count(question.dropOff)} (${percent(question.dropOffRate)})`.padStart(7)}  ${seconds(question.medianDwellMs).padStart(11)}`);
+    });
+});
+
+if (funnel.suppressed) {
+    console.log(`\n${funnel.suppressed} runs left out from tools with fewer than ${funnel.minCount} runs`);
+}
+if (!funnel.tools.length && !funnel.suppressed) {
+    console.log('No quiz events found');
+}
@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+/**
+ * HealthCheckPro - Quiz Data Validator CLI
+ * Validates tools/*\/quiz-data.json (or the files given as arguments) and
+ * checks that the static question markup in each tool's index.html uses
+ * the same option values and weights as the data, and that every
+ * quiz-data.<locale>.json translation next to it covers the same questions.
+ * With no arguments it also checks that tools/triage.json only pre-fills
+ * answers that exist.
+ *
+ * Usage: node scripts/validate-quiz-data.js [path/to/quiz-data.json ...]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const QuizValidator = require('../assets/js/quiz-validator.js');
+const I18n = require('../assets/js/i18n.js');
+const HealthProfile = require('../assets/js/health-profile.js');
+
+const root = path.resolve(__dirname, '..');
+const schema = JSON.parse(fs.readFileSync(path.join(root, 'schemas/quiz-data.schema.json'), 'utf8'));
+const validator = new QuizValidator(schema, HealthProfile.fields);
+
+function findQuizFiles() {
+    const toolsDir = path.join(root, 'tools');
+    return fs.readdirSync(toolsDir)
+        .map(tool => path.join(toolsDir, tool, 'quiz-data.json'))
+        .filter(file => fs.existsSync(file));
+}
+
+// The engine scores the buttons in the page, so they must agree with the data
+function checkMarkup(htmlFile, quizData) {
+    if (!fs.existsSync(htmlFile)) return [];
+
+    const html = fs.readFileSync(htmlFile, 'utf8');
+    const errors = [];
+    const blocks = html.split(/<div class="question(?: active)?" data-question="/).slice(1);
+
+    blocks.forEach(block => {
+        const number = parseInt(block, 10);
+        const question = quizData.questions[number - 1];
+        const where = `index.html question ${number}`;
+
+        if (!question) {
+            errors.push(`${where}: there is no question ${number} in quiz-data.json`);
+            return;
+        }
+
+        const buttons = [...block.matchAll(/class="(?:answer|scale)-btn"[^>]*data-value="([^"]*)"[^>]*data-weight="([^"]*)"/g)]
+            .map(match => ({ value: match[1], weight: Number(match[2]) }));
+
+        (question.options || []).forEach(option => {
+            const button = buttons.find(b => b.value === option.value);
+            if (!button) {
+                errors.push(`${where}: missing a button for option "${option.value}"`);
+            } else if (button.weight !== option.weight) {
+                errors.push(`${where}: option "${option.value}" has data-weight ${button.weight} but weight ${option.weight} in quiz-data.json`);
+            }
+        });
+
+        buttons.forEach(button => {
+            if (!(question.options || []).some(option => option.value === button.value)) {
+                errors.push(`${where}: button "${button.value}" is not an option in quiz-data.json`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+// Reports keys the English data doesn't have and entries left untranslated
+function compareKeys(where, translated, expected, errors) {
+    Object.keys(translated || {}).forEach(key => {
+        if (!expected.includes(key)) {
+            errors.push(`${where}: "${key}" does not exist in quiz-data.json`);
+        }
+    });
+    expected.forEach(key => {
+        if (!translated || translated[key] === undefined) {
+            errors.push(`${where}: "${key}" is not translated`);
+        }
+    });
+}
+
+// A translation may only change text, and must cover all of it
+function checkTranslation(translation, locale, quizData) {
+    const errors = [];
+    const listed = (quizData.metadata && quizData.metadata.locales) || [I18n.defaultLocale];
+
+    if (!listed.includes(locale)) {
+        errors.push(`"${locale}" is not listed in metadata.locales`);
+    }
+    if (!I18n.messages[locale]) {
+        errors.push(`assets/js/i18n.js has no "${locale}" strings`);
+    }
+    if (translation.locale !== locale) {
+        errors.push(`locale is "${translation.locale}" but the file name says "${locale}"`);
+    }
+    if (translation.version !== quizData.version) {
+        errors.push(`translates version ${translation.version} but quiz-data.json is version ${quizData.version}`);
+    }
+
+    const textKeys = ['title', 'description', 'emergencySymptoms', 'warningSymptoms', 'questions', 'categories', 'redFlags', 'scoring', 'recommendations']
+        .filter(key => quizData[key] !== undefined);
+    const crisis = quizData.crisisResources;
+    if (crisis && crisis.ongoing) textKeys.push('crisisResources');
+    const profileNotes = ((quizData.profile && quizData.profile.scoring) || []).map(profile => profile.id);
+    if (profileNotes.length) textKeys.push('profile');
+    compareKeys('(root)', translation, ['locale', 'version', ...textKeys, ...(quizData.page ? ['page'] : [])], errors);
+
+    ['emergencySymptoms', 'warningSymptoms'].forEach(key => {
+        if (Array.isArray(translation[key]) && translation[key].length !== quizData[key].length) {
+            errors.push(`${key}: has ${translation[key].length} items but quiz-data.json has ${quizData[key].length}`);
+        }
+    });
+    if (crisis && crisis.ongoing && translation.crisisResources) {
+        compareKeys('crisisResources', translation.crisisResources, ['ongoing'], errors);
+        const ongoing = translation.crisisResources.ongoing;
+        if (Array.isArray(ongoing) && ongoing.length !== crisis.ongoing.length) {
+            errors.push(`crisisResources.ongoing: has ${ongoing.length} items but quiz-data.json has ${crisis.ongoing.length}`);
+        }
+    }
+
+    compareKeys('questions', translation.questions, quizData.questions.map(q => String(q.id)), errors);
+    quizData.questions.forEach(question => {
+        const translated = (translation.questions || {})[question.id];
+        if (!translated) return;
+
+        const where = `questions.${question.id}`;
+        const options = (question.options || []).filter(option => option.text).map(option => option.value);
+        const expected = ['question'];
+        if (question.description !== undefined) expected.push('description');
+        if (question.scaleLabels) expected.push('scaleLabels');
+        if (options.length) expected.push('options');
+
+        compareKeys(where, translated, expected, errors);
+        if (translated.options) {
+            compareKeys(`${where}.options`, translated.options, options, errors);
+        }
+    });
+
+    compareKeys('categories', translation.categories, Object.keys(quizData.categories || {}), errors);
+    compareKeys('redFlags', translation.redFlags, (quizData.redFlags || []).filter(flag => flag.message).map(flag => flag.id), errors);
+    compareKeys('scoring', translation.scoring, quizData.scoring.map(band => band.key), errors);
+    compareKeys('recommendations', translation.recommendations, Object.keys(quizData.recommendations), errors);
+    if (profileNotes.length) {
+        compareKeys('profile', translation.profile, profileNotes, errors);
+    }
+
+    if (translation.page) {
+        const base = quizData.page;
+        Object.keys(translation.page).forEach(key => {
+            if (base[key] === undefined) {
+                errors.push(`page: "${key}" does not exist in quiz-data.json`);
+            }
+        });
+    }
+
+    return errors.concat(validator.validate(I18n.localizeQuizData(quizData, translation)).map(error => `translated data: ${error}`));
+}
+
+function checkTranslations(dir, quizData) {
+    const results = [];
+    const locales = ((quizData.metadata && quizData.metadata.locales) || []).filter(locale => locale !== I18n.defaultLocale);
+    const files = fs.readdirSync(dir).filter(file => /^quiz-data\.[a-z]{2}\.json$/.test(file));
+
+    locales.forEach(locale => {
+        if (!files.includes(`quiz-data.${locale}.json`)) {
+            results.push({ file: path.join(dir, `quiz-data.${locale}.json`), errors: ['listed in metadata.locales but missing'] });
+        }
+    });
+
+    files.forEach(file => {
+        const locale = file.split('.')[1];
+        let errors;
+        try {
+            errors = checkTranslation(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')), locale, quizData);
+        } catch (error) {
+            errors = [error.message];
+        }
+        results.push({ file: path.join(dir, file), errors });
+    });
+
+    return results;
+}
+
+// Triage tags must match some tool and pre-filled answers must be real options
+function checkTriage(triage, quizDataByTool) {
+    const errors = [];
+    const tags = new Set();
+    Object.values(quizDataByTool).forEach(quizData => {
+        ((quizData.metadata && quizData.metadata.tags) || []).forEach(tag => tags.add(tag));
+    });
+
+    triage.questions.forEach(question => {
+        question.options.forEach(option => {
+            const where = `${question.id}.${option.value}`;
+
+            (option.tags || []).forEach(tag => {
+                if (!tags.has(tag)) {
+                    errors.push(`${where}: no tool has the tag "${tag}"`);
+                }
+            });
+
+            Object.entries(option.prefill || {}).forEach(([tool, [questionId, value]]) => {
+                const quizData = quizDataByTool[tool];
+                const target = quizData && quizData.questions.find(q => q.id === questionId);
+
+                if (!quizData) {
+                    errors.push(`${where}: pre-fills unknown tool "${tool}"`);
+                } else if (!target) {
+                    errors.push(`${where}: ${tool} has no question ${questionId}`);
+                } else if (!(target.options || []).some(o => o.value === value)) {
+                    errors.push(`${where}: ${tool} question ${questionId} has no option "${value}"`);
+                }
+            });
+        });
+    });
+
+    return errors;
+}
+
+const files = process.argv.length > 2 ? process.argv.slice(2).map(file => path.resolve(file)) : findQuizFiles();
+let failed = 0;
+let checked = 0;
+const quizDataByTool = {};
+
+function report(file, errors) {
+    checked++;
+    if (errors.length) {
+        failed++;
+        console.log(`✗ ${path.relative(root, file)}`);
+        errors.forEach(error => console.log(`    ${error}`));
+    } else {
+        console.log(`✓ ${path.relative(root, file)}`);
+    }
+}
+
+files.forEach(file => {
+    let errors;
+    let translations = [];
+
+    try {
+        const quizData = JSON.parse(fs.readFileSync(file, 'utf8'));
+        errors = validator.validate(quizData);
+        quizDataByTool[quizData.tool] = quizData;
+        if (Array.isArray(quizData.questions)) {
+            errors = errors.concat(checkMarkup(path.join(path.dirname(file), 'index.html'), quizData));
+        }
+        // Translations are only compared against valid English data
+        if (errors.length === 0) {
+            translations = checkTranslations(path.dirname(file), quizData);
+        }
+    } catch (error) {
+        errors = [error.message];
+    }
+
+    report(file, errors);
+    translations.forEach(result => report(result.file, result.errors));
+});
+
+console.log(`\n${checked - failed} of ${checked} quiz data files valid`);
+
+const triageFile = path.join(root, 'tools/triage.json');
+if (process.argv.length <= 2 && fs.existsSync(triageFile)) {
+    let errors;
+    try {
+        errors = checkTriage(JSON.parse(fs.readFileSync(triageFile, 'utf8')), quizDataByTool);
+    } catch (error) {
+        errors = [error.message];
+    }
+
+    if (errors.length) {
+        failed++;
+        console.log('✗ tools/triage.json');
+        errors.forEach(error => console.log(`    ${error}`));
+    } else {
+        console.log('✓ tools/triage.json');
+    }
+}
+
+process.exit(failed ? 1 : 0);
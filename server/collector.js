@@ -0,0 +1,425 @@
+#!/usr/bin/env node
+/**
+ * HealthCheckPro - Analytics Collector
+ * A small first-party collector for assets/js/analytics.js, so usage can be
+ * measured without sending anything to third parties. No dependencies:
+ * events are appended to one NDJSON file per day, and the report endpoint
+ * only ever returns counts, never individual events. IP addresses and user
+ * agents are not stored.
+ *
+ *   POST /api/collect  {"events": [{"name", "props", "sessionId", "ts"}]}
+ *                      (a bare array works too; sendBeacon bodies are fine)
+ *   GET  /api/report   ?from=YYYY-MM-DD&to=YYYY-MM-DD, counts per event,
+ *                      day and label; counts under --min-count are left out
+ *   GET  /api/funnel   ?from=&to=&tool=, per-question drop-off and median
+ *                      time to answer for each quiz (see buildFunnel)
+ *
+ * Usage: node server/collector.js [--port 8080] [--data-dir server/data]
+ *                                 [--static .] [--report-token TOKEN]
+ *                                 [--allow-origin URL] [--min-count 5]
+ *   --static  also serve the site from this directory, for local development
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_BATCH = 50;
+const MAX_PROPS = 20;
+const MAX_STRING = 200;
+
+const contentTypes = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.ico': 'image/x-icon',
+    '.webmanifest': 'application/manifest+json'
+};
+
+/**
+ * Stores events as NDJSON, one file per UTC day, so old data can be
+ * removed by deleting files
+ */
+class FileStore {
+    constructor(dir) {
+        this.dir = dir;
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    fileFor(day) {
+        return path.join(this.dir, `events-${day}.ndjson`);
+    }
+
+    append(events) {
+        const byDay = {};
+        events.forEach(event => {
+            const day = event.received.slice(0, 10);
+            (byDay[day] = byDay[day] || []).push(JSON.stringify(event));
+        });
+
+        Object.keys(byDay).forEach(day => {
+            fs.appendFileSync(this.fileFor(day), byDay[day].join('\n') + '\n');
+        });
+    }
+
+    days() {
+        return fs.readdirSync(this.dir)
+            .map(file => (file.match(/^events-(\d{4}-\d{2}-\d{2})\.ndjson$/) || [])[1])
+            .filter(Boolean)
+            .sort();
+    }
+
+    forEach(from, to, callback) {
+        this.days()
+            .filter(day => (!from || day >= from) && (!to || day <= to))
+            .forEach(day => {
+                fs.readFileSync(this.fileFor(day), 'utf8').split('\n').forEach(line => {
+                    if (!line) return;
+                    try {
+                        callback(JSON.parse(line));
+                    } catch (e) {
+                        // A line cut short by a crash is skipped rather than failing the report
+                    }
+                });
+            });
+    }
+}
+
+/**
+ * Returns the event as it will be stored, or null if it can't be accepted.
+ * Props are kept flat and short so nothing like a full set of quiz answers
+ * can end up in the store.
+ */
+function sanitizeEvent(event, now = Date.now()) {
+    if (!event || typeof event !== 'object') return null;
+    if (typeof event.name !== 'string' || !/^[a-z][a-z0-9_]{0,63}$/.test(event.name)) return null;
+
+    const props = {};
+    if (event.props && typeof event.props === 'object' && !Array.isArray(event.props)) {
+        Object.keys(event.props).filter(key => /^[a-z0-9_]{1,40}$/i.test(key)).slice(0, MAX_PROPS).forEach(key => {
+            const value = event.props[key];
+            if (typeof value === 'string') props[key] = value.slice(0, MAX_STRING);
+            else if (typeof value === 'number' && isFinite(value)) props[key] = value;
+            else if (typeof value === 'boolean') props[key] = value;
+        });
+    }
+
+    // Client clocks can be wrong; anything more than a day off uses the server time
+    const ts = typeof event.ts === 'number' && Math.abs(event.ts - now) < 86400000 ? event.ts : now;
+
+    return {
+        name: event.name,
+        props,
+        sessionId: typeof event.sessionId === 'string' ? event.sessionId.slice(0, 64) : null,
+        ts,
+        received: new Date(now).toISOString()
+    };
+}
+
+/**
+ * Counts for the given days. Any count below minCount is dropped and only
+ * added to "suppressed", so rare combinations can't single anyone out.
+ */
+function buildReport(store, { from, to, minCount }) {
+    const events = {};
+    const byDay = {};
+    const labels = {};
+    const sessions = new Set();
+    let total = 0;
+
+    store.forEach(from, to, event => {
+        total++;
+        if (event.sessionId) sessions.add(event.sessionId);
+        events[event.name] = (events[event.name] || 0) + 1;
+
+        const day = event.received.slice(0, 10);
+        byDay[day] = (byDay[day] || 0) + 1;
+
+        const label = event.props.event_label;
+        if (label !== undefined) {
+            labels[event.name] = labels[event.name] || {};
+            labels[event.name][label] = (labels[event.name][label] || 0) + 1;
+        }
+    });
+
+    let suppressed = 0;
+    const keep = counts => {
+        const kept = {};
+        Object.keys(counts).forEach(key => {
+            if (counts[key] >= minCount) kept[key] = counts[key];
+            else suppressed += counts[key];
+        });
+        return kept;
+    };
+
+    const keptLabels = {};
+    Object.keys(labels).forEach(name => {
+        keptLabels[name] = keep(labels[name]);
+    });
+
+    return {
+        from: from || null,
+        to: to || null,
+        minCount,
+        totalEvents: total,
+        sessions: sessions.size,
+        events: keep(events),
+        byDay: keep(byDay),
+        labels: keptLabels,
+        suppressed
+    };
+}
+
+function median(values) {
+    if (!values.length) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+/**
+ * Per-tool quiz funnel from the quiz_* events analytics.js forwards: how
+ * many runs reached and answered each question, how many stopped there,
+ * and the median time to answer it. Tools with fewer than minCount runs
+ * are left out, and so is any per-question count below it.
+ */
+function buildFunnel(store, { from, to, minCount, tool }) {
+    const tools = {};
+
+    store.forEach(from, to, event => {
+        const props = event.props;
+        if (!/^quiz_/.test(event.name) || !props.tool || !props.run) return;
+        if (tool && props.tool !== tool) return;
+
+        const entry = tools[props.tool] = tools[props.tool] || { runs: {}, questions: {} };
+        const run = entry.runs[props.run] = entry.runs[props.run] || { completed: false, lastQuestion: null, lastElapsed: -1, shown: new Set(), answered: new Set() };
+        const id = props.question === undefined ? null : String(props.question);
+        const question = id === null ? null : (entry.questions[id] = entry.questions[id]
+            || { questionIndex: props.question_index, dwell: [], changes: 0, backs: 0 });
+        if (!question && /^quiz_(question|answer|back)/.test(event.name)) return;
+
+        switch(event.name) {
+            case 'quiz_question_shown':
+                run.shown.add(id);
+                // Beacons can arrive out of order, so the run's position goes by its own clock
+                if ((props.elapsed_ms || 0) >= run.lastElapsed) {
+                    run.lastQuestion = id;
+                    run.lastElapsed = props.elapsed_ms || 0;
+                }
+                break;
+            case 'quiz_question_answered':
+                run.answered.add(id);
+                if (typeof props.dwell_ms === 'number') question.dwell.push(props.dwell_ms);
+                break;
+            case 'quiz_answer_changed':
+                question.changes++;
+                break;
+            case 'quiz_back':
+                question.backs++;
+                break;
+            case 'quiz_completed':
+                run.completed = true;
+                break;
+        }
+    });
+
+    let suppressed = 0;
+    const report = [];
+
+    // A handful of runs stopping at one question can single someone out as
+    // well as a small tool can, so each cell is held back too and comes out
+    // as null ("suppressed" stays a count of runs)
+    const keep = count => (count === 0 || count >= minCount ? count : null);
+    const rate = (count, of) => {
+        if (count === null || of === null) return null;
+        return of ? Math.round(count / of * 1000) / 1000 : 0;
+    };
+
+    Object.keys(tools).sort().forEach(name => {
+        const runs = Object.values(tools[name].runs);
+        if (runs.length < minCount) {
+            suppressed += runs.length;
+            return;
+        }
+
+        const completed = keep(runs.filter(run => run.completed).length);
+        const questions = Object.keys(tools[name].questions)
+            .map(id => {
+                const question = tools[name].questions[id];
+                const reached = keep(runs.filter(run => run.shown.has(id)).length);
+                const dropOff = keep(runs.filter(run => !run.completed && run.lastQuestion === id).length);
+                return {
+                    questionId: id,
+                    questionIndex: question.questionIndex,
+                    reached,
+                    answered: keep(runs.filter(run => run.answered.has(id)).length),
+                    dropOff,
+                    dropOffRate: rate(dropOff, reached),
+                    medianDwellMs: question.dwell.length >= minCount ? median(question.dwell) : null,
+                    changes: keep(question.changes),
+                    backs: keep(question.backs)
+                };
+            })
+            .sort((a, b) => a.questionIndex - b.questionIndex);
+
+        report.push({
+            tool: name,
+            runs: runs.length,
+            completed,
+            completionRate: rate(completed, runs.length),
+            questions
+        });
+    });
+
+    return { from: from || null, to: to || null, minCount, tools: report, suppressed };
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                // Keep reading so the response can still be sent, but drop the data
+                reject(Object.assign(new Error('Body too large'), { status: 413 }));
+                chunks.length = 0;
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+function serveStatic(staticDir, dataDir, pathname, res) {
+    const file = path.join(staticDir, decodeURIComponent(pathname));
+    // Never serve anything outside the site directory, or the raw events
+    const inside = (dir, target) => !path.relative(dir, target).startsWith('..');
+    if (!inside(staticDir, file) || inside(dataDir, file)) {
+        sendJson(res, 403, { error: 'Forbidden' });
+        return;
+    }
+
+    let target = file;
+    if (fs.existsSync(target) && fs.statSync(target).isDirectory()) target = path.join(target, 'index.html');
+    if (!fs.existsSync(target)) {
+        const notFound = path.join(staticDir, '404.html');
+        res.writeHead(404, { 'Content-Type': contentTypes['.html'] });
+        res.end(fs.existsSync(notFound) ? fs.readFileSync(notFound) : 'Not found');
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Type': contentTypes[path.extname(target)] || 'application/octet-stream' });
+    fs.createReadStream(target).pipe(res);
+}
+
+/**
+ * Creates the collector's HTTP server; call listen() on it. Options:
+ * dataDir, staticDir, reportToken, allowOrigin, minCount
+ */
+function createCollector(options = {}) {
+    const store = new FileStore(path.resolve(options.dataDir || path.join(__dirname, 'data')));
+    const minCount = options.minCount === undefined ? 5 : options.minCount;
+    const staticDir = options.staticDir ? path.resolve(options.staticDir) : null;
+
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (options.allowOrigin) {
+            res.setHeader('Access-Control-Allow-Origin', options.allowOrigin);
+            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+            res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+            res.setHeader('Vary', 'Origin');
+        }
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        try {
+            if (url.pathname === '/api/collect') {
+                if (req.method !== 'POST') return sendJson(res, 405, { error: 'Use POST' });
+
+                let body;
+                try {
+                    body = JSON.parse(await readBody(req));
+                } catch (e) {
+                    if (e.status) throw e;
+                    return sendJson(res, 400, { error: 'Body must be JSON' });
+                }
+
+                const batch = Array.isArray(body) ? body : (body && body.events);
+                if (!Array.isArray(batch) || batch.length === 0 || batch.length > MAX_BATCH) {
+                    return sendJson(res, 400, { error: `Send between 1 and ${MAX_BATCH} events` });
+                }
+
+                const now = Date.now();
+                const accepted = batch.map(event => sanitizeEvent(event, now)).filter(Boolean);
+                if (accepted.length) store.append(accepted);
+                return sendJson(res, accepted.length ? 202 : 400, { accepted: accepted.length, rejected: batch.length - accepted.length });
+            }
+
+            if (url.pathname === '/api/report' || url.pathname === '/api/funnel') {
+                if (req.method !== 'GET') return sendJson(res, 405, { error: 'Use GET' });
+                if (options.reportToken && req.headers.authorization !== `Bearer ${options.reportToken}`) {
+                    return sendJson(res, 401, { error: 'Report token required' });
+                }
+
+                const from = url.searchParams.get('from');
+                const to = url.searchParams.get('to');
+                if ([from, to].some(day => day && !/^\d{4}-\d{2}-\d{2}$/.test(day))) {
+                    return sendJson(res, 400, { error: 'Dates must be YYYY-MM-DD' });
+                }
+                if (url.pathname === '/api/funnel') {
+                    return sendJson(res, 200, buildFunnel(store, { from, to, minCount, tool: url.searchParams.get('tool') }));
+                }
+                return sendJson(res, 200, buildReport(store, { from, to, minCount }));
+            }
+
+            if (staticDir && req.method === 'GET') return serveStatic(staticDir, store.dir, url.pathname, res);
+            sendJson(res, 404, { error: 'Not found' });
+        } catch (e) {
+            if (!res.headersSent) sendJson(res, e.status || 500, { error: e.status ? e.message : 'Server error' });
+            if (!e.status) console.error(e);
+        }
+    });
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const index = args.indexOf(`--${name}`);
+        return index === -1 ? fallback : args[index + 1];
+    };
+
+    const port = Number(option('port', process.env.PORT || 8080));
+    const server = createCollector({
+        dataDir: path.resolve(option('data-dir', path.join(__dirname, 'data'))),
+        staticDir: option('static', null),
+        reportToken: option('report-token', process.env.COLLECTOR_REPORT_TOKEN),
+        allowOrigin: option('allow-origin', null),
+        minCount: Number(option('min-count', 5))
+    });
+
+    server.listen(port, () => {
+        console.log(`Analytics collector listening on http://localhost:${port}`);
+    });
+}
+
+module.exports = { createCollector, FileStore, sanitizeEvent, buildReport, buildFunnel };
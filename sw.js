@@ -1,30 +1,96 @@
-const CACHE_NAME = 'healthcheckpro-v1';
-const urlsToCache = [
-    '/',
-    '/assets/css/main.css',
-    '/assets/js/main.js',
-    '/assets/images/logo.png',
-    '/manifest.json'
-];
+/**
+ * HealthCheckPro - Service Worker
+ * Stores every file in precache-manifest.js (built by
+ * scripts/build-precache.js) in a cache named after the manifest version,
+ * so the tools keep working offline. Pages and quiz data are served from
+ * the cache and refreshed in the background; scripts, styles and images
+ * come from the cache and change with the next version. A new version
+ * waits until the page asks it to take over (see assets/js/offline.js),
+ * then removes the caches of older versions.
+ */
+
+importScripts('/precache-manifest.js');
+
+const CACHE_PREFIX = 'healthcheckpro-';
+const CACHE_NAME = `${CACHE_PREFIX}${self.PRECACHE_VERSION}`;
 
 // Install service worker
 self.addEventListener('install', event => {
     event.waitUntil(
         caches.open(CACHE_NAME)
             .then(cache => {
-                return cache.addAll(urlsToCache);
+                // Past the HTTP cache, so a new version never stores old files
+                return cache.addAll(self.PRECACHE_MANIFEST.map(entry => new Request(entry.url, { cache: 'reload' })));
             })
     );
 });
 
+// Remove caches left by earlier versions
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The update prompt asks a waiting version to take over
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
 // Fetch event
 self.addEventListener('fetch', event => {
-    event.respondWith(
-        caches.match(event.request)
-            .then(response => {
-                // Return cached version or fetch from network
-                return response || fetch(event.request);
-            }
-        )
-    );
+    const request = event.request;
+    const url = new URL(request.url);
+
+    // Leave other sites, form posts and the analytics collector to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    if (request.mode === 'navigate' || /\.(?:html|json)$/.test(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(event, request.mode === 'navigate'));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
 });
+
+/**
+ * Answers from the cache straight away and fetches a fresh copy for next
+ * time; goes to the network only when nothing is cached. A page is stored
+ * without its query string (?lang=es and the like load the same file).
+ */
+function staleWhileRevalidate(event, isPage) {
+    const key = isPage ? event.request.url.split(/[?#]/)[0] : event.request;
+
+    return caches.open(CACHE_NAME).then(cache => cache.match(key).then(cached => {
+        const refresh = fetch(event.request).then(response => {
+            if (response.ok && response.type === 'basic') {
+                cache.put(key, response.clone());
+            }
+            return response;
+        });
+
+        if (!cached) return refresh;
+
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }));
+}
+
+function cacheFirst(request) {
+    return caches.open(CACHE_NAME).then(cache => cache.match(request).then(cached => {
+        // Return cached version or fetch from network
+        return cached || fetch(request).then(response => {
+            if (response.ok && response.type === 'basic') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        });
+    }));
+}